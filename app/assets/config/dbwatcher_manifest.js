@@ -7,13 +7,12 @@
 //= link dbwatcher/components/timeline.js
 //= link_tree ../javascripts/dbwatcher/core
 //= link_tree ../javascripts/dbwatcher/services
-//= link dbwatcher/vendor/lodash.min.js
-//= link dbwatcher/vendor/date-fns-browser.js
-//= link dbwatcher/vendor/tabulator.min.js
+//= link_tree ../javascripts/dbwatcher/vendor .js
 
 // Stylesheets
 //= link dbwatcher/application.css
 //= link dbwatcher/vendor/tabulator.min.css
+//= link dbwatcher/vendor/tailwind.min.css
 
 // Images - Required assets
 //= link dbwatcher/dbwatcher-tranparent_512x512.png
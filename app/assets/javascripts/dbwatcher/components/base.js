@@ -3,12 +3,19 @@
  * Provides standard lifecycle, utilities, and error handling for all components
  * Optimized to leverage libraries for common utilities
  */
+let baseComponentSequence = 0;
+
 DBWatcher.BaseComponent = function(config = {}) {
+  const componentName = config.componentName || 'component';
+
   return {
     // Standard lifecycle properties
     loading: false,
     error: null,
     config: config,
+    componentName: componentName,
+    componentId: `${componentName}-${++baseComponentSequence}`, // Tracks this instance's loading state
+    cancelToken: null, // Shared by this component's requests; cancelled on destroy
 
     // Initialization - called automatically by Alpine.js
     init() {
@@ -30,6 +37,13 @@ DBWatcher.BaseComponent = function(config = {}) {
           console.error("Error during component cleanup:", error);
         }
       }
+
+      this.cancelRequests();
+
+      // A removed element cannot dispatch, so end its loading state in the store directly
+      if (this.loading) {
+        window.Alpine?.store('dbwatcher')?.trackLoading({ id: this.componentId, loading: false });
+      }
     },
 
     // ==========================================
@@ -54,16 +68,30 @@ DBWatcher.BaseComponent = function(config = {}) {
     // State management
     // ==========================================
 
-    // Error handling with standardized pattern
-    handleError(error) {
+    // Error handling with standardized pattern. Components can clean up in
+    // componentError(error) and offer a retry by implementing componentRetry()
+    handleError(error, options = {}) {
+      // Cancelled requests are not failures
+      if (window.ApiClient && window.ApiClient.isCancelled(error)) return;
+
       this.error = error.message || "An unexpected error occurred";
       console.error("Component error:", error);
 
-      // Dispatch error event for global tracking
+      if (this.componentError) {
+        this.componentError(error);
+      }
+
+      const retry = options.retry || (this.componentRetry ? () => {
+        this.clearError();
+        this.componentRetry();
+      } : null);
+
+      // Dispatch error event for the notification centre
       if (this.$dispatch) {
         this.$dispatch('dbwatcher:error', {
-          component: this.constructor.name,
-          error: this.error
+          component: this.componentName,
+          error: this.error,
+          retry
         });
       }
     },
@@ -77,9 +105,9 @@ DBWatcher.BaseComponent = function(config = {}) {
     setLoading(loading) {
       this.loading = loading;
 
-      // Dispatch loading state change event
+      // Dispatch loading state change event for the page progress bar
       if (this.$dispatch) {
-        this.$dispatch('dbwatcher:loading', { loading });
+        this.$dispatch('dbwatcher:loading', { loading, component: this.componentName, id: this.componentId });
       }
     },
 
@@ -87,7 +115,25 @@ DBWatcher.BaseComponent = function(config = {}) {
     // API integration (using ApiClient)
     // ==========================================
 
-    // Fetch data with standardized error handling
+    // Token to pass as `cancelToken` to ApiClient calls made outside fetchData
+    getCancelToken() {
+      if (!window.ApiClient) return null;
+
+      if (!this.cancelToken || this.cancelToken.cancelled) {
+        this.cancelToken = window.ApiClient.createCancelToken();
+      }
+      return this.cancelToken;
+    },
+
+    // Abort every request this component still has in flight
+    cancelRequests() {
+      if (this.cancelToken) {
+        this.cancelToken.cancel();
+        this.cancelToken = null;
+      }
+    },
+
+    // Fetch data with loading state; failures are rethrown for the caller to pass to handleError
     async fetchData(endpoint, options = {}) {
       this.setLoading(true);
       this.clearError();
@@ -95,7 +141,10 @@ DBWatcher.BaseComponent = function(config = {}) {
       try {
         // Use centralized API client if available
         if (window.ApiClient) {
-          return await window.ApiClient.get(endpoint, options.params || {}, options);
+          return await window.ApiClient.get(endpoint, options.params || {}, {
+            cancelToken: this.getCancelToken(),
+            ...options
+          });
         }
 
         // Fallback to standard fetch
@@ -114,9 +163,6 @@ DBWatcher.BaseComponent = function(config = {}) {
         }
 
         return await response.json();
-      } catch (error) {
-        this.handleError(error);
-        throw error;
       } finally {
         this.setLoading(false);
       }
@@ -25,6 +25,13 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
     expandedRows: {},
     tabulators: {}, // Multiple tabulator instances (one per table)
     tableColumns: {}, // Per-table column visibility
+    activeRowId: null, // Keyboard-selected row
+    pageSize: config.pageSize || 100, // Rows fetched per table page
+    loadedOperation: '', // Operation filter the server applied to the loaded pages
+    loadedTable: '', // Table filter the server applied to the loaded data
+    exporting: false,
+    exportError: null,
+    rollback: { open: false, title: '', script: '', count: 0, copied: false }, // Rollback script preview
 
     // Alpine init hook (auto-called by Alpine.js)
     init() {
@@ -35,12 +42,12 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
       // Setup filtering
       this.setupFiltering();
 
+      // Read filters preset in the URL before the first load
+      this.setupURLStateSync();
+
       // Load data from API
       this.loadChangesData();
 
-      // Setup URL state sync
-      this.setupURLStateSync();
-
       // Call base init if it exists
       if (baseComponent.init) {
         baseComponent.init.call(this);
@@ -66,47 +73,49 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
         // Clear existing filters
         tabulator.clearFilter();
 
-        // Create a combined filter function that handles all filters
-        const hasSearch = this.filters.search && this.filters.search.trim();
-        const hasOperation = this.filters.operation;
-        const hasTable = this.filters.table;
-
-        if (hasSearch || hasOperation || hasTable) {
-          const searchTerm = hasSearch ? this.filters.search.trim().toLowerCase() : '';
-
+        if (this.hasRowFilters()) {
           // Apply combined custom filter
-          tabulator.setFilter((data) => {
-            // Search filter
-            if (hasSearch) {
-              const searchableContent = [
-                data.table_name,
-                data.operation,
-                data.timestamp,
-                data.index,
-                ...Object.values(data).filter(val => val !== null && val !== undefined)
-              ].join(' ').toLowerCase();
-
-              if (!searchableContent.includes(searchTerm)) {
-                return false;
-              }
-            }
+          tabulator.setFilter((data) => this.matchesRowFilters(data));
+        }
 
-            // Operation filter
-            if (hasOperation && data.operation !== this.filters.operation) {
-              return false;
-            }
+        // Note: Multi-table filtering is handled at the template level via x-show
+      });
+    },
 
-            // Table filter
-            if (hasTable && data.table_name !== this.filters.table) {
-              return false;
-            }
+    // Whether any row-level filter is set
+    hasRowFilters() {
+      return Boolean((this.filters.search && this.filters.search.trim()) || this.filters.operation || this.filters.table);
+    },
 
-            return true;
-          });
+    // Combined filter function that handles all row-level filters
+    matchesRowFilters(data) {
+      // Search filter
+      const searchTerm = (this.filters.search || '').trim().toLowerCase();
+      if (searchTerm) {
+        const searchableContent = [
+          data.table_name,
+          data.operation,
+          data.timestamp,
+          data.index,
+          ...Object.values(data).filter(val => val !== null && val !== undefined)
+        ].join(' ').toLowerCase();
+
+        if (!searchableContent.includes(searchTerm)) {
+          return false;
         }
+      }
 
-        // Note: Multi-table filtering is handled at the template level via x-show
-      });
+      // Operation filter
+      if (this.filters.operation && data.operation !== this.filters.operation) {
+        return false;
+      }
+
+      // Table filter
+      if (this.filters.table && data.table_name !== this.filters.table) {
+        return false;
+      }
+
+      return true;
     },
 
     // Load data from API
@@ -124,10 +133,13 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
         // Build query parameters from filters
         const params = new URLSearchParams();
         if (this.filters.table) params.append('table', this.filters.table);
+        this.loadedTable = this.filters.table;
         if (this.filters.operation) params.append('operation', this.filters.operation);
         if (this.filters.search) params.append('search', this.filters.search);
+        params.append('per_page', this.pageSize);
+        this.loadedOperation = this.filters.operation;
 
-        const url = `/dbwatcher/api/v1/sessions/${this.sessionId}/tables_data?${params.toString()}`;
+        const url = `${this.tablesDataURL()}?${params.toString()}`;
         const data = await this.fetchData(url);
 
         if (data.tables_summary) {
@@ -151,6 +163,10 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
       }
     },
 
+    tablesDataURL() {
+      return `/dbwatcher/api/v1/sessions/${this.sessionId}/tables_data`;
+    },
+
     // Initialize Tabulator tables (one per table)
     initializeTabulators() {
       this.$nextTick(() => {
@@ -181,22 +197,20 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
         return;
       }
 
-      // Transform data for this specific table
-      const tabulatorData = this.transformTableDataForTabulator(tableName, tableInfo);
+      const totalRows = this.getTableRowTotal(tableInfo);
 
       // Create Tabulator instance for this table
       this.tabulators[tableName] = new Tabulator(container, {
-        data: tabulatorData,
+        ...this.buildDataOptions(tableName, tableInfo),
         layout: 'fitDataFill',
         responsiveLayout: false,
-        height: Math.max(200, Math.min(400, (tabulatorData.length * 35) + 80)),  // Minimum 200px, expand based on content
+        height: Math.max(200, Math.min(400, (totalRows * 35) + 80)),  // Minimum 200px, expand based on content
 
         // Force Tabulator to use our custom rowId field
         index: 'rowId',  // Tell Tabulator to use the 'rowId' field as the row identifier
 
-        // Performance optimizations - disable virtual DOM to ensure all rows render
-        virtualDom: false,
-        pagination: false,  // Ensure no pagination
+        // Only rows in view are rendered; expanded details are restored by the row formatter
+        renderVertical: 'virtual',
 
         // Column configuration for this table
         columns: this.buildColumnsForTable(tableName, tableInfo),
@@ -217,15 +231,186 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
 
     },
 
+    // Data source options: inline rows, or pages streamed in on scroll when the table has more
+    buildDataOptions(tableName, tableInfo) {
+      const pagination = tableInfo.pagination;
+
+      if (!pagination || pagination.last_page <= 1) {
+        return { data: this.transformTableDataForTabulator(tableName, tableInfo) };
+      }
+
+      return {
+        progressiveLoad: 'scroll',
+        paginationSize: pagination.per_page,
+        ajaxURL: this.tablesDataURL(),
+        ajaxRequestFunc: (url, config, params) => this.fetchTablePage(tableName, params.page)
+      };
+    },
+
+    // Fetch one page of a table's changes in the shape Tabulator expects
+    async fetchTablePage(tableName, page) {
+      const tableInfo = this.tableData[tableName];
+      const pagination = tableInfo.pagination;
+
+      // The first page arrived with the initial load
+      if (page === 1) {
+        return {
+          last_page: pagination.last_page,
+          data: this.transformTableDataForTabulator(tableName, tableInfo)
+        };
+      }
+
+      const params = { table: tableName, page, per_page: pagination.per_page };
+      if (this.loadedOperation) params.operation = this.loadedOperation;
+
+      // Bypass fetchData so the loading state doesn't tear down the rendered tables
+      const data = await window.ApiClient.get(this.tablesDataURL(), params, { cancelToken: this.getCancelToken() });
+      const pageInfo = data.tables_summary && data.tables_summary[tableName];
+      if (!pageInfo) {
+        return { last_page: page, data: [] };
+      }
+
+      return {
+        last_page: pageInfo.pagination.last_page,
+        data: this.transformTableDataForTabulator(tableName, { ...tableInfo, ...pageInfo })
+      };
+    },
+
+    // Export the currently filtered rows of one table, or of every visible table
+    async exportChanges(format, tableName = null) {
+      const exportFormat = window.ChangeExport && window.ChangeExport.formats[format];
+      if (!exportFormat || this.exporting) return;
+
+      this.exporting = true;
+      this.exportError = null;
+
+      try {
+        const tableNames = tableName ? [tableName] : this.getVisibleTableNames();
+        const changes = await this.collectFilteredChanges(tableNames);
+
+        const content = window.ChangeExport.serialize(format, changes, {
+          session_id: this.sessionId,
+          filters: { ...this.filters, tables: tableNames }
+        });
+        const filename = `dbwatcher-${this.sessionId}-${tableName || 'changes'}.${exportFormat.extension}`;
+
+        window.ChangeExport.download(content, filename, exportFormat.mimeType);
+      } catch (error) {
+        console.error('Export failed:', error);
+        this.exportError = `Export failed: ${error.message}`;
+      } finally {
+        this.exporting = false;
+      }
+    },
+
+    // Rollback script for the filtered rows of every visible table
+    async generateRollbackScript() {
+      if (this.exporting) return;
+
+      this.exporting = true;
+      this.exportError = null;
+
+      try {
+        const changes = await this.collectFilteredChanges(this.getVisibleTableNames());
+        this.showRollbackPreview('Rollback script for filtered changes', changes);
+      } catch (error) {
+        console.error('Rollback generation failed:', error);
+        this.exportError = `Rollback generation failed: ${error.message}`;
+      } finally {
+        this.exporting = false;
+      }
+    },
+
+    // Rollback script for a single expanded row
+    openRowRollback(rowData) {
+      const change = { table_name: rowData.table_name, ...rowData.change_data };
+      this.showRollbackPreview(`Rollback for ${rowData.table_name} row #${rowData.index}`, [change]);
+    },
+
+    showRollbackPreview(title, changes) {
+      this.rollback = {
+        open: true,
+        title,
+        script: window.ChangeExport.toRollbackSQL(changes, { session_id: this.sessionId }),
+        count: changes.length,
+        copied: false
+      };
+    },
+
+    closeRollbackPreview() {
+      this.rollback.open = false;
+    },
+
+    async copyRollbackScript() {
+      try {
+        await navigator.clipboard.writeText(this.rollback.script);
+        this.rollback.copied = true;
+        setTimeout(() => { this.rollback.copied = false; }, 2000);
+      } catch (error) {
+        console.error('Failed to copy rollback script:', error);
+      }
+    },
+
+    downloadRollbackScript() {
+      window.ChangeExport.download(this.rollback.script, `dbwatcher-${this.sessionId}-rollback.sql`, 'application/sql');
+    },
+
+    // Recorded change data of the filtered rows, tagged with their table
+    async collectFilteredChanges(tableNames) {
+      const changes = [];
+
+      for (const name of tableNames) {
+        const rows = await this.getFilteredTableRows(name);
+        changes.push(...rows.map(row => ({ table_name: name, ...row.change_data })));
+      }
+
+      return changes;
+    },
+
+    // Tables shown under the current multi-table filter
+    getVisibleTableNames() {
+      return Object.keys(this.tableData).filter(tableName => {
+        return this.filters.selectedTables.length === 0 || this.filters.selectedTables.includes(tableName);
+      });
+    },
+
+    // Filtered rows of a table in display order, fetching pages not scrolled into view yet
+    async getFilteredTableRows(tableName) {
+      const tableInfo = this.tableData[tableName];
+      const tabulator = this.tabulators[tableName];
+      if (!tableInfo) return [];
+
+      if (tableInfo.pagination && tableInfo.pagination.last_page > 1) {
+        const rows = [];
+        for (let page = 1; page <= tableInfo.pagination.last_page; page++) {
+          const result = await this.fetchTablePage(tableName, page);
+          rows.push(...result.data);
+        }
+        return rows.filter(row => this.matchesRowFilters(row));
+      }
+
+      if (tabulator) return tabulator.getData('active');
+      return this.transformTableDataForTabulator(tableName, tableInfo).filter(row => this.matchesRowFilters(row));
+    },
+
+    // Total changes for a table, including pages not loaded yet
+    getTableRowTotal(tableInfo) {
+      if (tableInfo.pagination) return tableInfo.pagination.total;
+      return (tableInfo.changes || []).length;
+    },
+
     // Transform data for a specific table
     transformTableDataForTabulator(tableName, tableInfo) {
       const rows = [];
       const changes = tableInfo.changes || [];
+      const pagination = tableInfo.pagination;
+      const offset = pagination ? (pagination.page - 1) * pagination.per_page : 0;
 
-      changes.forEach((change, index) => {
+      changes.forEach((change, pageIndex) => {
         const columnData = this.extractColumnData(change, tableInfo.columns);
+        const index = offset + pageIndex;
 
-        // Create truly unique row ID using table name and index only (for Tabulator internal use)
+        // Create truly unique row ID using table name and position across pages (for Tabulator internal use)
         const uniqueRowId = `${tableName}_row_${index}`;
 
         const row = {
@@ -557,6 +742,11 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
       element.addEventListener('mouseleave', () => {
         element.style.backgroundColor = '';
       });
+
+      // Virtual rendering rebuilds rows as they scroll back into view
+      if (this.expandedRows[rowData.rowId]) {
+        this.appendRowDetails(row);
+      }
     },
 
 
@@ -608,45 +798,37 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
 
     // Show row details
     showRowDetails(row) {
+      this.appendRowDetails(row);
+
+      // Let the virtual renderer account for the taller row
+      row.normalizeHeight();
+    },
+
+    // Append the detail panel inside the row element so it moves with the row
+    appendRowDetails(row) {
       const rowData = row.getData();
       const element = row.getElement();
 
-
-      // Check if detail row already exists
-      const existingDetail = element.nextElementSibling;
-      if (existingDetail && existingDetail.classList.contains('row-detail')) {
+      // Check if detail panel already exists
+      if (element.querySelector('.row-detail')) {
         return; // Already expanded
       }
 
-      // Create detail row as a proper table row
-      const detailRow = document.createElement('tr');
-      detailRow.className = 'row-detail bg-gray-50';
-      detailRow.setAttribute('data-parent-id', rowData.rowId);
-
-      // Create full-width cell
-      const detailCell = document.createElement('td');
-      detailCell.colSpan = 1000; // Span all columns
-      detailCell.className = 'p-0 border-t border-gray-200';
+      const detailPanel = document.createElement('div');
+      detailPanel.className = 'row-detail bg-gray-50 border-t border-gray-200';
+      detailPanel.setAttribute('data-parent-id', rowData.rowId);
 
       try {
-        detailCell.innerHTML = this.generateExpandedContent(rowData);
-        detailRow.appendChild(detailCell);
-
-        // Insert after the current row
-        element.parentNode.insertBefore(detailRow, element.nextSibling);
+        detailPanel.innerHTML = this.generateExpandedContent(rowData);
+        detailPanel.addEventListener('click', (event) => {
+          if (!event.target.closest('.rollback-btn')) return;
+          event.stopPropagation();
+          this.openRowRollback(rowData);
+        });
+        element.appendChild(detailPanel);
 
         // Update expand button
         this.updateExpandButton(element, true);
-
-        // Dynamically increase table height when expanded
-        const tabulator = this.findTabulatorForRow(rowData.table_name);
-        if (tabulator) {
-          setTimeout(() => {
-            const currentHeight = tabulator.getElement().offsetHeight;
-            const expandedHeight = Math.max(currentHeight + 200, 300);  // Add 200px for expanded content
-            tabulator.setHeight(expandedHeight);
-          }, 50);
-        }
       } catch (error) {
         console.error(`Error creating detail row for ${rowData.rowId}:`, error);
       }
@@ -655,30 +837,81 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
     // Hide row details
     hideRowDetails(row) {
       const element = row.getElement();
-      const rowData = row.getData();
 
-
-      // Find and remove the detail row
-      const detailRow = element.parentNode.querySelector(`tr.row-detail[data-parent-id="${rowData.rowId}"]`);
-      if (detailRow) {
-        detailRow.remove();
-      } else {
+      // Find and remove the detail panel
+      const detailPanel = element.querySelector('.row-detail');
+      if (detailPanel) {
+        detailPanel.remove();
       }
 
       // Update expand button
       this.updateExpandButton(element, false);
 
-      // Shrink table height back when collapsed
-      const tabulator = this.findTabulatorForRow(rowData.table_name);
-      if (tabulator) {
-        setTimeout(() => {
-          const tableData = tabulator.getData();
-          const baseHeight = Math.max(200, Math.min(400, (tableData.length * 35) + 80));
-          tabulator.setHeight(baseHeight);
-        }, 50);
+      row.normalizeHeight();
+    },
+
+    // Handle shortcuts forwarded by the keyboard layer
+    handleShortcut(detail) {
+      if (!detail || detail.tab !== 'tables') return;
+
+      switch (detail.action) {
+        case 'next':
+          this.moveActiveRow(1);
+          break;
+        case 'previous':
+          this.moveActiveRow(-1);
+          break;
+        case 'toggle':
+          if (this.activeRowId) this.toggleRowExpansion(this.activeRowId);
+          break;
       }
     },
 
+    // Rows reachable by keyboard, in display order across visible tables
+    getNavigableRows() {
+      const rows = [];
+
+      Object.keys(this.tableData).forEach(tableName => {
+        const visible = this.filters.selectedTables.length === 0 || this.filters.selectedTables.includes(tableName);
+        const tabulator = this.tabulators[tableName];
+        if (visible && tabulator) {
+          rows.push(...tabulator.getRows('active'));
+        }
+      });
+
+      return rows;
+    },
+
+    // Step the keyboard selection through table rows
+    moveActiveRow(step) {
+      const rows = this.getNavigableRows();
+      if (rows.length === 0) return;
+
+      const currentIndex = rows.findIndex(row => row.getData().rowId === this.activeRowId);
+      const nextIndex = currentIndex === -1 ?
+        (step > 0 ? 0 : rows.length - 1) :
+        Math.min(rows.length - 1, Math.max(0, currentIndex + step));
+
+      this.highlightActiveRow(rows[nextIndex]);
+    },
+
+    // Mark a row as keyboard-selected and bring it into view
+    highlightActiveRow(row) {
+      const activeClasses = ['ring-2', 'ring-inset', 'ring-blue-medium'];
+
+      Object.values(this.tabulators).forEach(tabulator => {
+        if (!tabulator) return;
+        tabulator.getElement().querySelectorAll('.tabulator-row.ring-2')
+          .forEach(element => element.classList.remove(...activeClasses));
+      });
+
+      this.activeRowId = row.getData().rowId;
+
+      const element = row.getElement();
+      element.classList.add(...activeClasses);
+      element.scrollIntoView({ block: 'nearest' });
+    },
+
     // Helper method to find tabulator instance for a table
     findTabulatorForRow(tableName) {
       return this.tabulators[tableName] || null;
@@ -728,6 +961,7 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
       }
 
       content += `
+                    <button type="button" class="rollback-btn text-xs text-blue-medium hover:text-navy-dark underline">Rollback SQL</button>
                   </div>
                 </td>
       `;
@@ -996,8 +1230,7 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
     // Check if there are any visible changes
     hasVisibleChanges() {
       return Object.keys(this.tableData).some(tableName => {
-        const data = this.tableData[tableName];
-        return data.changes && data.changes.length > 0;
+        return this.getTableRowTotal(this.tableData[tableName]) > 0;
       });
     },
 
@@ -1037,6 +1270,14 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
         table: '',
         selectedTables: []
       };
+
+      // Data narrowed on the server has to be fetched again
+      if (this.loadedTable || this.loadedOperation) {
+        this.updateURL();
+        this.loadChangesData();
+        return;
+      }
+
       this.applyFilters();
     },
 
@@ -1061,15 +1302,16 @@ DBWatcher.registerComponent('changesTableHybrid', function(config) {
       return count;
     },
 
-    // Get total row count
+    // Get total row count, including pages not loaded yet
     getTotalRowCount() {
-      let count = 0;
-      Object.values(this.tabulators).forEach(tabulator => {
-        if (tabulator) {
-          count += tabulator.getDataCount();
-        }
-      });
-      return count;
+      return Object.values(this.tableData).reduce((count, tableInfo) => {
+        return count + this.getTableRowTotal(tableInfo);
+      }, 0);
+    },
+
+    // Retry action offered with error notifications
+    componentRetry() {
+      this.loadChangesData();
     },
 
     // Component cleanup
@@ -216,62 +216,9 @@
       }
     };
 
-    // Show notification
+    // Show notification through the shared notification centre
     function showNotification(message, type = 'info') {
-      // Create notification element
-      const notification = document.createElement('div');
-      notification.className = `notification notification-${type}`;
-      notification.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: 12px 16px;
-        border-radius: 4px;
-        color: white;
-        font-size: 14px;
-        z-index: 1000;
-        max-width: 300px;
-        word-wrap: break-word;
-        opacity: 0;
-        transform: translateY(-20px);
-        transition: all 0.3s ease;
-      `;
-      
-      // Set background color based on type
-      switch (type) {
-        case 'success':
-          notification.style.backgroundColor = '#10b981';
-          break;
-        case 'error':
-          notification.style.backgroundColor = '#ef4444';
-          break;
-        default:
-          notification.style.backgroundColor = '#3b82f6';
-      }
-      
-      notification.textContent = message;
-      
-      // Add to page
-      if (document.body) {
-        document.body.appendChild(notification);
-      }
-      
-      // Animate in
-      setTimeout(() => {
-        notification.style.opacity = '1';
-        notification.style.transform = 'translateY(0)';
-      }, 100);
-      
-      // Remove after 5 seconds
-      setTimeout(() => {
-        notification.style.opacity = '0';
-        notification.style.transform = 'translateY(-20px)';
-        setTimeout(() => {
-          if (notification.parentNode) {
-            notification.parentNode.removeChild(notification);
-          }
-        }, 300);
-      }, 5000);
+      window.DBWatcher.notify(message, { type, source: 'dashboard' });
     }
 
     // Public API
@@ -8,15 +8,57 @@ DBWatcher.registerComponent('diagrams', function(config) {
   // Ensure we have a sessionId from config or elsewhere
   const sessionId = config.sessionId || config.session_id || (config.session && config.session.id);
 
+  // SVG nodes and geometry stay outside Alpine's reactive proxies, which break DOM calls
+  let searchNodes = [];
+  let searchedQuery = '';
+  let minimapBounds = null;
+
   return Object.assign(DBWatcher.BaseComponent(config), {
     // Component-specific state
     sessionId: sessionId,
+    sessionName: config.sessionName || '',
     diagramTypes: {},
     selectedType: 'database_tables',
     diagramContent: null,
     panZoomInstance: null,
     generating: false,
+    progress: null, // { stage, blocking } while loading or rendering
+    renderController: null, // AbortController of the render in progress
+    largeDiagramThreshold: 150, // Entities above which rendering waits for confirmation
+    largeDiagramPending: null, // Entity count awaiting "render anyway"
+    largeDiagramConfirmed: false,
     showCodeView: false, // Add state for code view toggle
+    codeSource: '', // Source being rendered: the generated diagram or a local draft
+    codeError: null, // Syntax error in the edited source
+    codeRenderTimer: null,
+    codeRenderDelay: 600,
+    codeCopied: false,
+    tableStats: {}, // Session change counts keyed by table name
+    nodePopover: null, // Clicked entity details
+    pointerStart: null,
+    activityOverlay: false, // Style entities by session activity
+    theme: window.localStorage.getItem('dbwatcher:diagram-theme') || 'neutral',
+    diagramRequestId: 0, // Latest diagram_data request; older responses are dropped
+    showFilters: false,
+    exporting: false,
+    exportError: null,
+    filters: { focus: '', depth: 1, include: '', exclude: '', hideIsolated: false },
+    filterResult: null, // Entity counts after filtering
+    diagramEntities: [], // Entities in the generated diagram, for the focus picker
+    compareSessions: config.compareSessions || [], // Other sessions offered for the diff view
+    diffSessionId: '', // Session this diagram is compared with
+    diffBase: null, // Diagram source of that session for the selected type
+    diffResult: null, // DiagramDiff result for the rendered diagram
+    diffLoading: false,
+    diffError: null,
+    searchQuery: '',
+    searchMatches: [], // { name, attribute } per hit, in visiting order
+    searchIndex: -1,
+    showMinimap: window.localStorage.getItem('dbwatcher:diagram-minimap') !== 'off',
+    minimap: null, // { src, width, height } overview image of the whole diagram
+    minimapView: null, // Visible area as percentages of the minimap
+    nodeClickHandler: null,
+    nodePointerHandler: null,
 
     // Component initialization
     componentInit() {
@@ -32,11 +74,131 @@ DBWatcher.registerComponent('diagrams', function(config) {
         // Then load the actual diagram
         this.loadDiagram();
       });
+
+      this.loadTableStats();
+      this.attachNodeInteractions();
     },
 
     // Component cleanup
     componentDestroy() {
       this.safelyDestroyPanZoom();
+      this.detachNodeInteractions();
+      clearTimeout(this.codeRenderTimer);
+    },
+
+    // Load per-table change counts for the node popover
+    async loadTableStats() {
+      try {
+        const data = await window.ApiClient.get(
+          `/dbwatcher/api/v1/sessions/${this.sessionId}/summary_data`, {}, { cancelToken: this.getCancelToken() }
+        );
+        this.tableStats = (data.tables_breakdown || []).reduce((stats, table) => {
+          stats[table.table_name] = table;
+          return stats;
+        }, {});
+
+        if (this.$refs.diagramContainer) {
+          this.markInteractiveNodes(this.$refs.diagramContainer);
+          if (this.activityOverlay && !this.diffResult) {
+            this.applyActivityOverlay();
+            this.refreshMinimap();
+          }
+        }
+      } catch (error) {
+        if (window.ApiClient.isCancelled(error)) return;
+        console.warn('Could not load table stats for diagram nodes:', error);
+      }
+    },
+
+    // Clicks on entity/class nodes open the popover; drags (panning) are ignored
+    attachNodeInteractions() {
+      const container = this.$refs.diagramContainer;
+      if (!container) return;
+
+      this.nodePointerHandler = (event) => {
+        this.pointerStart = { x: event.clientX, y: event.clientY };
+      };
+      this.nodeClickHandler = (event) => this.handleDiagramClick(event);
+
+      container.addEventListener('mousedown', this.nodePointerHandler);
+      container.addEventListener('click', this.nodeClickHandler);
+    },
+
+    detachNodeInteractions() {
+      const container = this.$refs.diagramContainer;
+      if (!container) return;
+
+      if (this.nodePointerHandler) container.removeEventListener('mousedown', this.nodePointerHandler);
+      if (this.nodeClickHandler) container.removeEventListener('click', this.nodeClickHandler);
+      this.nodePointerHandler = null;
+      this.nodeClickHandler = null;
+    },
+
+    handleDiagramClick(event) {
+      const start = this.pointerStart;
+      if (start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > 4) return;
+
+      const node = this.findDiagramNode(event.target);
+      if (!node) {
+        this.closeNodePopover();
+        return;
+      }
+
+      const name = this.getNodeName(node);
+      const tableName = this.resolveTableName(name);
+      const area = this.$refs.diagramContainer.parentElement.getBoundingClientRect();
+
+      this.nodePopover = {
+        name,
+        tableName,
+        stats: tableName ? this.tableStats[tableName] : null,
+        x: Math.min(event.clientX - area.left + 8, area.width - 264),
+        y: Math.min(event.clientY - area.top + 8, area.height - 180)
+      };
+    },
+
+    closeNodePopover() {
+      this.nodePopover = null;
+    },
+
+    // ERD entities, class diagram classes and flowchart nodes
+    findDiagramNode(target) {
+      if (!target || !target.closest) return null;
+      return target.closest('g[id^="entity-"], g.node, g.classGroup');
+    },
+
+    // Label shown on the node, falling back to the name encoded in its id
+    getNodeName(node) {
+      const label = node.querySelector('.entityLabel, .nodeLabel, .classTitle, text');
+      const text = label ? label.textContent.trim() : '';
+      if (text) return text.replace(/^`|`$/g, '');
+
+      const match = (node.id || '').match(/^(?:entity|classId|flowchart)-(.+?)-\w+$/);
+      return match ? match[1] : '';
+    },
+
+    // Match a node name against session tables by table name or model class
+    resolveTableName(name) {
+      if (!name) return null;
+
+      const normalize = (value) => String(value || '').replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+      const target = normalize(name);
+
+      return Object.keys(this.tableStats).find(tableName => {
+        const stats = this.tableStats[tableName];
+        return normalize(tableName) === target || (stats.model_class && normalize(stats.model_class) === target);
+      }) || null;
+    },
+
+    // Jump to the changes tab with the table filter preset
+    openTableChanges(tableName) {
+      const url = new URL(window.location.href);
+      url.searchParams.set('table', tableName);
+      url.searchParams.delete('operation');
+      window.history.replaceState({}, '', url.toString());
+
+      this.closeNodePopover();
+      Alpine.store('dbwatcher').setActiveTab('tables');
     },
 
     // Load available diagram types from API
@@ -60,6 +222,10 @@ DBWatcher.registerComponent('diagrams', function(config) {
           } else if (data.default_type) {
             this.selectedType = data.default_type;
           }
+
+          this.activityOverlay = urlParams.get('overlay') === 'activity';
+          this.diffSessionId = urlParams.get('diff_session') || '';
+          this.readFiltersFromURL(urlParams);
         } else {
           throw new Error('No diagram types received');
         }
@@ -78,29 +244,58 @@ DBWatcher.registerComponent('diagrams', function(config) {
         return;
       }
 
+      const requestId = ++this.diagramRequestId;
       this.generating = true;
+      this.progress = { stage: 'Loading diagram data', blocking: false };
+      this.largeDiagramConfirmed = false;
       this.clearError();
 
       try {
         const url = `/dbwatcher/api/v1/sessions/${this.sessionId}/diagram_data?type=${this.selectedType}`;
         const data = await this.fetchData(url);
 
+        // The user switched types while this one was loading
+        if (requestId !== this.diagramRequestId) return;
+
         if (data.content) {
           this.diagramContent = data.content;
+          this.codeSource = this.loadDraft() || data.content;
+          this.codeError = null;
+          await this.loadDiff();
+          if (requestId !== this.diagramRequestId) return;
           // Update URL to reflect current diagram type
           this.updateURL();
           // Wait for DOM update
-          this.$nextTick(() => this.renderDiagram());
+          await this.$nextTick();
+          await this.renderDiagram();
         } else {
           throw new Error('No diagram content received');
         }
       } catch (error) {
-        this.handleError(error);
+        if (requestId === this.diagramRequestId) this.handleError(error);
       } finally {
-        this.generating = false;
+        if (requestId === this.diagramRequestId && !this.renderController) {
+          this.generating = false;
+          this.progress = null;
+        }
       }
     },
 
+    // Stop loading or rendering; the previous diagram stays on screen
+    cancelGeneration() {
+      this.diagramRequestId++;
+      if (this.renderController) this.renderController.abort();
+      this.renderController = null;
+      this.generating = false;
+      this.progress = null;
+    },
+
+    // Render a diagram that was held back for its size
+    renderLargeDiagram() {
+      this.largeDiagramConfirmed = true;
+      this.renderDiagram();
+    },
+
     // Update URL with current diagram type
     updateURL() {
       const url = new URL(window.location.href);
@@ -108,6 +303,28 @@ DBWatcher.registerComponent('diagrams', function(config) {
 
       params.set('diagram_type', this.selectedType);
 
+      if (this.activityOverlay) {
+        params.set('overlay', 'activity');
+      } else {
+        params.delete('overlay');
+      }
+
+      const filterParams = {
+        diff_session: this.diffSessionId,
+        focus: this.filters.focus,
+        depth: this.filters.focus && this.filters.depth > 1 ? this.filters.depth : '',
+        include: this.filters.include,
+        exclude: this.filters.exclude,
+        hide_isolated: this.filters.hideIsolated ? '1' : ''
+      };
+      Object.entries(filterParams).forEach(([key, value]) => {
+        if (value) {
+          params.set(key, value);
+        } else {
+          params.delete(key);
+        }
+      });
+
       // Update URL without full page reload
       url.search = params.toString();
       window.history.replaceState({}, '', url.toString());
@@ -130,10 +347,11 @@ DBWatcher.registerComponent('diagrams', function(config) {
         return;
       }
 
-      try {
-        // Cleanup previous pan/zoom instance safely
-        this.safelyDestroyPanZoom();
+      if (this.renderController) this.renderController.abort();
+      const controller = new AbortController();
+      this.renderController = controller;
 
+      try {
         if (!window.MermaidService) {
           throw new Error('MermaidService not available');
         }
@@ -145,18 +363,48 @@ DBWatcher.registerComponent('diagrams', function(config) {
         // Maximize diagram within its container
         this.maximizeInContainer(container);
 
-        // Render with MermaidService
-        const result = await window.MermaidService.render(
-          this.diagramContent,
-          container,
-          {
-            fit: true,
-            center: true,
-            zoomEnabled: true,
-            panEnabled: true,
-            controlIconsEnabled: true
+        const content = this.getFilteredContent();
+        if (this.filterResult && this.filterResult.entityCount === 0) {
+          this.safelyDestroyPanZoom();
+          container.innerHTML = '';
+          this.refreshMinimap();
+          return;
+        }
+
+        // Large schemas block the page while Mermaid lays them out; ask first
+        const entityCount = this.filterResult ? this.filterResult.entityCount : 0;
+        this.largeDiagramPending = null;
+        if (entityCount > this.largeDiagramThreshold && !this.largeDiagramConfirmed) {
+          this.largeDiagramPending = entityCount;
+          return;
+        }
+
+        this.generating = true;
+
+        // Render with MermaidService; a newer render into the container cancels this one
+        const result = await window.MermaidService.render(content, container, {
+          theme: this.theme,
+          diagramType: this.selectedType,
+          signal: controller.signal,
+          keepOnError: this.hasDraft(),
+          onProgress: (progress) => {
+            if (!controller.signal.aborted) this.progress = progress;
+          },
+          panZoom: {
+            controlIconsEnabled: true,
+            onPan: () => this.updateMinimapView(),
+            onZoom: () => this.updateMinimapView()
           }
-        );
+        });
+        if (result.cancelled) return;
+
+        this.closeNodePopover();
+        this.markInteractiveNodes(container);
+        if (this.diffResult) {
+          this.applyDiffHighlights();
+        } else if (this.activityOverlay) {
+          this.applyActivityOverlay();
+        }
 
         // Store pan/zoom instance if created
         if (result && result.panZoom) {
@@ -165,17 +413,341 @@ DBWatcher.registerComponent('diagrams', function(config) {
         } else {
           console.warn('Pan/zoom instance was not created');
         }
+
+        // The new SVG has new nodes: highlight the hits again without moving the view
+        if (this.searchQuery) this.searchDiagram(false);
+        this.refreshMinimap();
       } catch (error) {
-        this.handleError(error);
+        // A broken draft is reported next to the editor and the last good diagram stays;
+        // any other failure replaces the diagram with the error, so its pan/zoom goes too
+        if (this.hasDraft()) {
+          this.codeError = { valid: false, message: error.message, line: null };
+          this.showCodeView = true;
+        } else {
+          this.safelyDestroyPanZoom();
+          this.refreshMinimap();
+          this.handleError(error);
+        }
+      } finally {
+        if (this.renderController === controller) {
+          this.renderController = null;
+          this.generating = false;
+          this.progress = null;
+        }
       }
     },
 
-    // Safely destroy pan zoom instance with error handling
+    // Diagram source merged with the compared session and narrowed by the current filters
+    getFilteredContent() {
+      if (!window.DiagramFilter) {
+        this.filterResult = null;
+        this.diffResult = null;
+        return this.getSourceContent();
+      }
+
+      let source = this.getSourceContent();
+      this.diagramEntities = window.DiagramFilter.listEntities(source);
+
+      // Diffed on every render so edits in the code view are compared too
+      if (this.diffBase !== null && window.DiagramDiff) {
+        this.diffResult = window.DiagramDiff.compare(this.diffBase, source);
+        source = this.diffResult.content;
+      } else {
+        this.diffResult = null;
+      }
+
+      this.filterResult = window.DiagramFilter.apply(source, this.filters);
+      return this.filterResult.content;
+    },
+
+    hasActiveFilters() {
+      return window.DiagramFilter ? window.DiagramFilter.isActive(this.filters) : false;
+    },
+
+    readFiltersFromURL(urlParams) {
+      this.filters = {
+        focus: urlParams.get('focus') || '',
+        depth: Math.max(parseInt(urlParams.get('depth'), 10) || 1, 1),
+        include: urlParams.get('include') || '',
+        exclude: urlParams.get('exclude') || '',
+        hideIsolated: urlParams.get('hide_isolated') === '1'
+      };
+      this.showFilters = this.hasActiveFilters();
+    },
+
+    // Re-render the generated diagram with the current filters
+    applyFilters() {
+      this.updateURL();
+      this.closeNodePopover();
+      this.renderDiagram();
+    },
+
+    clearFilters() {
+      this.filters = { focus: '', depth: 1, include: '', exclude: '', hideIsolated: false };
+      this.applyFilters();
+    },
+
+    // Focus the diagram on the entity shown in the popover
+    focusOnNode(name) {
+      this.filters.focus = name;
+      this.showFilters = true;
+      this.applyFilters();
+    },
+
+    // Load the compared session's diagram of the selected type
+    async loadDiff() {
+      const diffSessionId = this.diffSessionId;
+      this.diffError = null;
+
+      if (!diffSessionId) {
+        this.diffBase = null;
+        return;
+      }
+
+      this.diffLoading = true;
+      try {
+        const data = await window.ApiClient.get(
+          `/dbwatcher/api/v1/sessions/${diffSessionId}/diagram_data?type=${this.selectedType}`,
+          {},
+          { cancelToken: this.getCancelToken() }
+        );
+        if (diffSessionId !== this.diffSessionId) return;
+        this.diffBase = data.content || '';
+      } catch (error) {
+        if (diffSessionId !== this.diffSessionId || window.ApiClient.isCancelled(error)) return;
+        this.diffBase = null;
+        this.diffError = `Could not load the compared session: ${error.message}`;
+      } finally {
+        if (diffSessionId === this.diffSessionId) this.diffLoading = false;
+      }
+    },
+
+    // Compare with another session; an empty id goes back to the plain diagram
+    async changeDiffSession(sessionId) {
+      this.diffSessionId = sessionId;
+      this.diffLoading = false;
+      this.updateURL();
+      this.closeNodePopover();
+      await this.loadDiff();
+      if (sessionId === this.diffSessionId) this.renderDiagram();
+    },
+
+    getDiffSessionName() {
+      const session = this.compareSessions.find(item => String(item.id) === String(this.diffSessionId));
+      return session ? session.name : this.diffSessionId;
+    },
+
+    // Number of added, removed and changed items of one kind ('entities' or 'relationships')
+    countDiffItems(kind) {
+      if (!this.diffResult) return 0;
+      const items = this.diffResult[kind];
+      return items.added.length + items.removed.length + items.changed.length;
+    },
+
+    // Outline entities and color relationships by their status in the diff;
+    // removed items come from the compared session and are drawn dashed
+    applyDiffHighlights() {
+      const svg = this.$refs.diagramContainer?.querySelector('svg');
+      if (!svg || !this.diffResult) return;
+
+      const colors = { added: '#10b981', removed: '#ef4444', changed: '#f59e0b' };
+      const fills = { added: 'rgba(16, 185, 129, 0.15)', removed: 'rgba(239, 68, 68, 0.1)', changed: 'rgba(245, 158, 11, 0.15)' };
+      const parsed = window.DiagramFilter.parse(this.diffResult.content);
+      const entityIds = new Map();
+
+      svg.querySelectorAll('g[id^="entity-"], g.node, g.classGroup').forEach(node => {
+        const id = window.DiagramFilter.findEntityId(parsed, this.getNodeName(node));
+        const status = id ? window.DiagramDiff.entityStatus(this.diffResult, id) : null;
+        entityIds.set(node, id);
+        if (!status) return;
+
+        const box = node.querySelector('.entityBox, rect, polygon');
+        if (box) {
+          box.style.fill = fills[status];
+          box.style.stroke = colors[status];
+          box.style.strokeWidth = '2.5';
+          if (status === 'removed') box.style.strokeDasharray = '6 4';
+        }
+        if (status === 'removed') node.style.opacity = '0.7';
+      });
+
+      this.getEdgeEndpoints(svg).forEach(({ path, from, to }) => {
+        if (!from || !to) return;
+
+        const status = window.DiagramDiff.relationshipStatus(this.diffResult, entityIds.get(from), entityIds.get(to));
+        if (!status) return;
+
+        path.style.stroke = colors[status];
+        path.style.strokeWidth = '2.5';
+        if (status === 'removed') path.style.strokeDasharray = '6 4';
+      });
+    },
+
+    // Themes offered by MermaidService
+    getThemes() {
+      return window.MermaidService ? window.MermaidService.themes : {};
+    },
+
+    changeTheme(theme) {
+      this.theme = theme;
+      window.localStorage.setItem('dbwatcher:diagram-theme', theme);
+      this.renderDiagram();
+    },
+
+    // Toggle the session activity overlay; switching off redraws the plain diagram
+    toggleActivityOverlay() {
+      this.activityOverlay = !this.activityOverlay;
+      this.updateURL();
+
+      if (this.activityOverlay) {
+        this.applyActivityOverlay();
+        this.refreshMinimap();
+      } else {
+        this.renderDiagram();
+      }
+    },
+
+    // Shade entities by change volume, add operation badges, dim untouched tables
+    // and emphasize relationships between touched tables
+    applyActivityOverlay() {
+      const svg = this.$refs.diagramContainer?.querySelector('svg');
+      if (!svg || Object.keys(this.tableStats).length === 0) return;
+
+      const maxChanges = Math.max(...Object.values(this.tableStats).map(stats => stats.change_count || 0), 1);
+      const nodes = Array.from(svg.querySelectorAll('g[id^="entity-"], g.node, g.classGroup'));
+      const touchedNodes = [];
+
+      nodes.forEach(node => {
+        const tableName = this.resolveTableName(this.getNodeName(node));
+        const stats = tableName ? this.tableStats[tableName] : null;
+
+        if (!stats || !stats.change_count) {
+          node.style.opacity = '0.3';
+          return;
+        }
+
+        touchedNodes.push(node);
+        node.style.opacity = '1';
+
+        const box = node.querySelector('.entityBox, rect, polygon');
+        if (box) {
+          const intensity = 0.15 + 0.55 * (stats.change_count / maxChanges);
+          box.style.fill = `rgba(59, 130, 246, ${intensity.toFixed(2)})`;
+          box.style.stroke = '#1d4ed8';
+        }
+
+        this.appendActivityBadges(node, stats.operations || {});
+      });
+
+      this.emphasizeRelationships(svg, touchedNodes);
+    },
+
+    // Small I/U/D count badges above the node's top-right corner
+    appendActivityBadges(node, operations) {
+      node.querySelectorAll('.dbw-activity-badges').forEach(element => element.remove());
+
+      const colors = { INSERT: '#10b981', UPDATE: '#f59e0b', DELETE: '#ef4444' };
+      const badges = Object.keys(colors).filter(op => operations[op] > 0);
+      if (badges.length === 0) return;
+
+      const namespace = 'http://www.w3.org/2000/svg';
+      const bbox = node.getBBox();
+      const badgeWidth = 30;
+      const group = document.createElementNS(namespace, 'g');
+      group.setAttribute('class', 'dbw-activity-badges');
+
+      badges.forEach((op, index) => {
+        const x = bbox.x + bbox.width - (badges.length - index) * (badgeWidth + 2);
+        const y = bbox.y - 14;
+
+        const rect = document.createElementNS(namespace, 'rect');
+        Object.entries({ x, y, width: badgeWidth, height: 12, rx: 3, fill: colors[op] })
+          .forEach(([key, value]) => rect.setAttribute(key, value));
+
+        const text = document.createElementNS(namespace, 'text');
+        Object.entries({ x: x + badgeWidth / 2, y: y + 9, 'font-size': 8, fill: '#ffffff', 'text-anchor': 'middle' })
+          .forEach(([key, value]) => text.setAttribute(key, value));
+        text.textContent = `${op.charAt(0)} ${operations[op]}`;
+
+        group.appendChild(rect);
+        group.appendChild(text);
+      });
+
+      node.appendChild(group);
+    },
+
+    // Emphasize edges between touched nodes and fade the rest
+    emphasizeRelationships(svg, touchedNodes) {
+      const touched = new Set(touchedNodes);
+
+      this.getEdgeEndpoints(svg).forEach(({ path, from, to }) => {
+        if (touched.has(from) && touched.has(to)) {
+          path.style.stroke = '#1d4ed8';
+          path.style.strokeWidth = '2.5';
+          path.style.opacity = '1';
+        } else {
+          path.style.opacity = '0.25';
+        }
+      });
+    },
+
+    // Edges carry no entity ids, so match their end points to node bounds on screen
+    getEdgeEndpoints(svg) {
+      // Nothing to measure while the tab is hidden
+      if (svg.getBoundingClientRect().width === 0) return [];
+
+      const tolerance = 8;
+      const nodes = Array.from(svg.querySelectorAll('g[id^="entity-"], g.node, g.classGroup'))
+        .map(node => ({ node, rect: node.getBoundingClientRect() }));
+      const nodeAt = (point) => {
+        let closest = null;
+        let closestDistance = tolerance;
+
+        nodes.forEach(({ node, rect }) => {
+          const dx = Math.max(rect.left - point.x, 0, point.x - rect.right);
+          const dy = Math.max(rect.top - point.y, 0, point.y - rect.bottom);
+          const distance = Math.hypot(dx, dy);
+          if (distance <= closestDistance) {
+            closest = node;
+            closestDistance = distance;
+          }
+        });
+
+        return closest;
+      };
+
+      return Array.from(svg.querySelectorAll('path.relationshipLine, path.relation, path.flowchart-link, .edgePaths path'))
+        .filter(path => path.getScreenCTM() && path.getTotalLength)
+        .map(path => {
+          const matrix = path.getScreenCTM();
+          const [start, end] = [0, path.getTotalLength()].map(distance => {
+            const point = path.getPointAtLength(distance);
+            return new DOMPoint(point.x, point.y).matrixTransform(matrix);
+          });
+
+          return { path, from: nodeAt(start), to: nodeAt(end) };
+        });
+    },
+
+    // Pointer cursor on nodes that map to a session table
+    markInteractiveNodes(container) {
+      container.querySelectorAll('g[id^="entity-"], g.node, g.classGroup').forEach(node => {
+        if (this.resolveTableName(this.getNodeName(node))) {
+          node.style.cursor = 'pointer';
+        }
+      });
+    },
+
+    // Release the current render's pan/zoom instance and keyboard listeners
     safelyDestroyPanZoom() {
-      if (!this.panZoomInstance) return;
+      const container = this.$refs.diagramContainer;
 
       try {
-        this.panZoomInstance.destroy();
+        if (container && window.MermaidService) {
+          window.MermaidService.dispose(container);
+        } else if (this.panZoomInstance) {
+          this.panZoomInstance.destroy();
+        }
       } catch (error) {
         console.warn('Error destroying pan zoom instance:', error);
       } finally {
@@ -183,6 +755,99 @@ DBWatcher.registerComponent('diagrams', function(config) {
       }
     },
 
+    // Find entities by name or attribute; `locate` pans to the first hit,
+    // otherwise the current hit is kept and only highlighted
+    searchDiagram(locate = true) {
+      const svg = this.$refs.diagramContainer?.querySelector('svg');
+      if (!window.DiagramNavigator) return;
+
+      window.DiagramNavigator.clearHighlights(svg);
+      const matches = window.DiagramNavigator.findMatches(svg, this.searchQuery, node => this.getNodeName(node));
+
+      searchNodes = matches.map(match => match.node);
+      searchedQuery = this.searchQuery;
+      this.searchMatches = matches.map(({ name, attribute }) => ({ name, attribute }));
+
+      if (matches.length === 0) {
+        this.searchIndex = -1;
+      } else if (locate || this.searchIndex < 0) {
+        this.searchIndex = 0;
+      } else {
+        this.searchIndex = Math.min(this.searchIndex, matches.length - 1);
+      }
+
+      this.locateMatch(locate);
+    },
+
+    // Step through the hits; a changed query starts a new search first
+    nextMatch(step = 1) {
+      if (this.searchQuery !== searchedQuery) {
+        this.searchDiagram();
+        return;
+      }
+      if (searchNodes.length === 0) return;
+
+      this.searchIndex = (this.searchIndex + step + searchNodes.length) % searchNodes.length;
+      this.locateMatch();
+    },
+
+    locateMatch(pan = true) {
+      const svg = this.$refs.diagramContainer?.querySelector('svg');
+      const node = searchNodes[this.searchIndex];
+      if (!svg || !node) return;
+
+      window.DiagramNavigator.highlight(searchNodes, node);
+      if (pan && this.panZoomInstance) {
+        window.DiagramNavigator.centerOn(this.panZoomInstance, svg, node);
+      }
+    },
+
+    clearSearch() {
+      window.DiagramNavigator?.clearHighlights(this.$refs.diagramContainer?.querySelector('svg'));
+      searchNodes = [];
+      searchedQuery = '';
+      this.searchQuery = '';
+      this.searchMatches = [];
+      this.searchIndex = -1;
+    },
+
+    // Rebuild the overview image after the diagram or its styling changed
+    refreshMinimap() {
+      const svg = this.$refs.diagramContainer?.querySelector('svg');
+      const overview = this.showMinimap && svg && this.panZoomInstance && window.DiagramNavigator
+        ? window.DiagramNavigator.buildMinimap(svg)
+        : null;
+
+      minimapBounds = overview ? overview.bounds : null;
+      this.minimap = overview ? { src: overview.src, width: overview.width, height: overview.height } : null;
+      this.updateMinimapView();
+    },
+
+    updateMinimapView() {
+      this.minimapView = minimapBounds && this.panZoomInstance
+        ? window.DiagramNavigator.visibleArea(this.panZoomInstance, minimapBounds)
+        : null;
+    },
+
+    // Center the diagram on the clicked point of the minimap
+    navigateMinimap(event) {
+      if (!minimapBounds || !this.panZoomInstance) return;
+
+      const rect = event.currentTarget.getBoundingClientRect();
+      window.DiagramNavigator.panToMinimapPoint(
+        this.panZoomInstance,
+        minimapBounds,
+        (event.clientX - rect.left) / rect.width,
+        (event.clientY - rect.top) / rect.height
+      );
+    },
+
+    toggleMinimap() {
+      this.showMinimap = !this.showMinimap;
+      window.localStorage.setItem('dbwatcher:diagram-minimap', this.showMinimap ? 'on' : 'off');
+      this.refreshMinimap();
+    },
+
     // Zoom controls
     zoomIn() {
       if (!this.panZoomInstance) return;
@@ -222,80 +887,133 @@ DBWatcher.registerComponent('diagrams', function(config) {
 
     // Download diagram as SVG
     downloadSVG() {
+      this.exportDiagram('svg');
+    },
+
+    // Export the rendered diagram as 'svg', 'png' (at the given scale) or 'pdf' (print page)
+    async exportDiagram(format, scale = 2) {
       const svgElement = this.$refs.diagramContainer?.querySelector('svg');
-      if (!svgElement) return;
+      if (!svgElement || !window.DiagramExport) return;
+
+      const meta = {
+        sessionName: this.sessionName,
+        diagramType: this.diagramTypes[this.selectedType]?.display_name || this.selectedType
+      };
+
+      this.exporting = true;
+      this.exportError = null;
 
       try {
-        const svgData = new XMLSerializer().serializeToString(svgElement);
-        const blob = new Blob([svgData], { type: 'image/svg+xml' });
-        const url = URL.createObjectURL(blob);
-
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = `dbwatcher-${this.selectedType}-diagram.svg`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-
-        URL.revokeObjectURL(url);
+        if (format === 'png') {
+          await window.DiagramExport.exportPNG(svgElement, meta, scale);
+        } else if (format === 'pdf') {
+          window.DiagramExport.print(svgElement, meta);
+        } else {
+          window.DiagramExport.exportSVG(svgElement, meta);
+        }
       } catch (error) {
-        this.handleError(new Error('Failed to download SVG'));
+        console.error('Diagram export failed:', error);
+        this.exportError = error.message;
+      } finally {
+        this.exporting = false;
       }
     },
 
-    // Toggle code view
+    // Toggle the code editor; the diagram is re-rendered to fit the new layout
     toggleCodeView() {
       this.showCodeView = !this.showCodeView;
+      this.$nextTick(() => this.renderDiagram());
+    },
 
-      // If showing code view, ensure the code is properly displayed
-      if (this.showCodeView && this.diagramContent) {
-        const codeContainer = this.$refs.codeContainer;
-        if (codeContainer) {
-          codeContainer.textContent = this.diagramContent;
-
-          // Ensure container is properly scrollable for large content
-          setTimeout(() => {
-            // Reset scroll position to top when showing code
-            const container = codeContainer.parentElement;
-            if (container) {
-              container.scrollTop = 0;
-            }
-
-            // Add specific handling for very large content
-            if (codeContainer.scrollHeight > window.innerHeight * 0.8) {
-              codeContainer.classList.add('large-content');
-            } else {
-              codeContainer.classList.remove('large-content');
-            }
-          }, 10);
+    // Generated source, or the local draft when one has been edited
+    getSourceContent() {
+      return this.codeSource || this.diagramContent;
+    },
+
+    hasDraft() {
+      return Boolean(this.codeSource) && this.codeSource !== this.diagramContent;
+    },
+
+    // Debounced live re-render while editing
+    onCodeInput() {
+      clearTimeout(this.codeRenderTimer);
+      this.codeRenderTimer = setTimeout(() => this.applyCodeChanges(), this.codeRenderDelay);
+    },
+
+    // Save the draft and re-render if it parses; keep the last good diagram otherwise
+    async applyCodeChanges() {
+      this.saveDraft();
+
+      const result = await window.MermaidService.validate(this.codeSource);
+      this.codeError = result.valid ? null : result;
+      if (result.valid) await this.renderDiagram();
+    },
+
+    // Drop the draft and go back to the generated source
+    discardDraft() {
+      clearTimeout(this.codeRenderTimer);
+      this.codeSource = this.diagramContent;
+      this.codeError = null;
+      this.saveDraft();
+      this.renderDiagram();
+    },
+
+    // Drafts are kept per session and diagram type
+    draftKey() {
+      return `dbwatcher:diagram-draft:${this.sessionId}:${this.selectedType}`;
+    },
+
+    loadDraft() {
+      try {
+        const draft = JSON.parse(window.localStorage.getItem(this.draftKey()) || 'null');
+        return draft && draft.content ? draft.content : null;
+      } catch (error) {
+        console.warn('Could not read diagram draft:', error);
+        return null;
+      }
+    },
+
+    saveDraft() {
+      try {
+        if (this.hasDraft()) {
+          window.localStorage.setItem(this.draftKey(), JSON.stringify({
+            content: this.codeSource,
+            savedAt: new Date().toISOString()
+          }));
+        } else {
+          window.localStorage.removeItem(this.draftKey());
         }
+      } catch (error) {
+        console.warn('Could not save diagram draft:', error);
       }
     },
 
-    // Copy diagram code to clipboard
-    copyDiagramCode() {
-      if (!this.diagramContent) return;
+    // Copy diagram code (including edits) to clipboard
+    async copyDiagramCode() {
+      const source = this.getSourceContent();
+      if (!source) return;
 
       try {
-        navigator.clipboard.writeText(this.diagramContent).then(() => {
-          // Show a temporary success message
-          const copyBtn = this.$refs.copyButton;
-          if (copyBtn) {
-            const originalText = copyBtn.textContent;
-            copyBtn.textContent = 'Copied!';
-            copyBtn.classList.add('bg-green-500');
-
-            setTimeout(() => {
-              copyBtn.textContent = originalText;
-              copyBtn.classList.remove('bg-green-500');
-            }, 2000);
-          }
-        });
+        await navigator.clipboard.writeText(source);
+        this.codeCopied = true;
+        setTimeout(() => { this.codeCopied = false; }, 2000);
       } catch (error) {
         console.error('Failed to copy code:', error);
       }
     },
 
+    // Download diagram code (including edits) as a .mmd file
+    downloadDiagramCode() {
+      const source = this.getSourceContent();
+      if (!source || !window.DiagramExport) return;
+
+      const meta = {
+        sessionName: this.sessionName,
+        diagramType: this.diagramTypes[this.selectedType]?.display_name || this.selectedType
+      };
+      window.FileExport.download(new Blob([source], { type: 'text/plain' }), window.DiagramExport.filename(meta, 'mmd'));
+    },
+
     // Get diagram type metadata
     getDiagramTypeInfo(type) {
       return this.availableTypes[type] || {
@@ -383,26 +1101,8 @@ DBWatcher.registerComponent('diagrams', function(config) {
 
 
 
-    // Error handling with user-friendly message and diagnostic logging
-    handleError(error) {
-      console.error('Error in diagrams component:', error);
-
-      // If we have a diagram container, display a user-friendly error
-      if (this.$refs.diagramContainer) {
-        this.$refs.diagramContainer.innerHTML = `
-          <div class="p-6 text-center bg-gray-50 rounded-md border border-gray-200 shadow-sm">
-            <div class="text-red-600 mb-3 font-medium">Error loading diagram</div>
-            <div class="text-sm text-gray-600 mb-4 p-2 bg-red-50 rounded border border-red-100">${error.message}</div>
-            <div class="mt-4">
-              <button class="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 shadow-sm"
-                      onclick="window.location.reload()">
-                Refresh Page
-              </button>
-            </div>
-          </div>
-        `;
-      }
-
+    // Errors are shown by the view and the notification centre; log details and drop pan/zoom
+    componentError(error) {
       // Add additional diagnostic logging
       if (error.stack) {
         console.debug('Error stack:', error.stack);
@@ -410,40 +1110,11 @@ DBWatcher.registerComponent('diagrams', function(config) {
 
       // Cleanup any existing pan/zoom instance
       this.safelyDestroyPanZoom();
-    }
-  });
-});
+    },
 
-// Immediate fallback registration for Alpine.js
-if (window.Alpine && window.Alpine.data) {
-  window.Alpine.data('diagrams', (config = {}) => {
-    console.log('Direct Alpine registration for diagrams called with config:', config);
-    if (window.DBWatcher && window.DBWatcher.components && window.DBWatcher.components.diagrams) {
-      return window.DBWatcher.components.diagrams(config);
-    } else {
-      console.error('DBWatcher diagrams component not available, providing fallback');
-      return {
-        error: 'Component not initialized',
-        init() {
-          this.error = 'DBWatcher not properly initialized';
-        }
-      };
+    // Retry action offered with error notifications
+    componentRetry() {
+      this.loadDiagramTypes().then(() => this.loadDiagram());
     }
   });
-}
-
-// Also add a global function as a backup
-window.diagrams = function(config = {}) {
-  console.log('Global diagrams function called with config:', config);
-  if (window.DBWatcher && window.DBWatcher.components && window.DBWatcher.components.diagrams) {
-    return window.DBWatcher.components.diagrams(config);
-  } else {
-    console.error('DBWatcher diagrams component not available in global function');
-    return {
-      error: 'Component not initialized',
-      init() {
-        this.error = 'DBWatcher not properly initialized';
-      }
-    };
-  }
-};
+});
@@ -0,0 +1,136 @@
+/**
+ * Keyboard Shortcuts Component
+ * Single keyboard layer for the session page
+ *
+ * Tab switching goes through the dbwatcher store; row navigation is forwarded
+ * to the active tab as a `dbwatcher:shortcut` window event.
+ */
+
+// Register component with DBWatcher
+DBWatcher.registerComponent('keyboardShortcuts', function(config) {
+  return Object.assign(DBWatcher.BaseComponent(config), {
+    // Component-specific state
+    showHelp: false,
+    keydownHandler: null,
+
+    // Shortcut reference for the help overlay
+    shortcuts: [
+      { keys: ['1…9'], description: 'Switch to tab by position' },
+      { keys: ['[', ']'], description: 'Previous / next tab' },
+      { keys: ['j'], description: 'Next timeline entry or table row' },
+      { keys: ['k'], description: 'Previous timeline entry or table row' },
+      { keys: ['Enter'], description: 'Expand or collapse the selected row' },
+      { keys: ['/'], description: 'Focus search' },
+      { keys: ['?'], description: 'Toggle this help' },
+      { keys: ['Esc'], description: 'Close help or leave a search field' }
+    ],
+
+    // Component initialization
+    componentInit() {
+      this.keydownHandler = (event) => this.handleKeydown(event);
+      document.addEventListener('keydown', this.keydownHandler);
+    },
+
+    // Component cleanup
+    componentDestroy() {
+      if (this.keydownHandler) {
+        document.removeEventListener('keydown', this.keydownHandler);
+        this.keydownHandler = null;
+      }
+    },
+
+    // Route a keystroke to the matching action
+    handleKeydown(event) {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+
+      // Leave typing alone; Escape just releases focus
+      if (this.isEditableTarget(event.target)) {
+        if (event.key === 'Escape') event.target.blur();
+        return;
+      }
+
+      const tabs = this.getTabs();
+
+      switch (event.key) {
+        case '?':
+          event.preventDefault();
+          this.showHelp = !this.showHelp;
+          break;
+        case 'Escape':
+          this.showHelp = false;
+          break;
+        case '/':
+          event.preventDefault();
+          this.focusSearch();
+          break;
+        case 'j':
+          event.preventDefault();
+          this.dispatchShortcut('next');
+          break;
+        case 'k':
+          event.preventDefault();
+          this.dispatchShortcut('previous');
+          break;
+        case 'Enter':
+          // Let buttons and links keep their native Enter behaviour
+          if (event.target.closest && event.target.closest('button, a')) return;
+          event.preventDefault();
+          this.dispatchShortcut('toggle');
+          break;
+        case '[':
+        case ']': {
+          const index = tabs.indexOf(this.getActiveTab());
+          const offset = event.key === ']' ? 1 : -1;
+          this.switchTab(tabs[(index + offset + tabs.length) % tabs.length]);
+          break;
+        }
+        default:
+          if (/^[1-9]$/.test(event.key) && tabs[Number(event.key) - 1]) {
+            event.preventDefault();
+            this.switchTab(tabs[Number(event.key) - 1]);
+          }
+      }
+    },
+
+    // Inputs, selects, textareas and contenteditable regions swallow shortcuts
+    isEditableTarget(target) {
+      if (!target) return false;
+      if (target.isContentEditable) return true;
+      return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    },
+
+    // Tabs in tab-bar order
+    getTabs() {
+      return Array.from(document.querySelectorAll('.tab-bar [data-tab]'))
+        .map(element => element.dataset.tab);
+    },
+
+    getActiveTab() {
+      return window.Alpine ? Alpine.store('dbwatcher').activeTab : null;
+    },
+
+    // Switch tabs through the store
+    switchTab(tab) {
+      if (!tab || !window.Alpine) return;
+      Alpine.store('dbwatcher').setActiveTab(tab);
+    },
+
+    // Forward a navigation action to the active tab's component
+    dispatchShortcut(action) {
+      window.dispatchEvent(new CustomEvent('dbwatcher:shortcut', {
+        detail: { action, tab: this.getActiveTab() }
+      }));
+    },
+
+    // Focus the first visible search field of the active tab
+    focusSearch() {
+      const input = Array.from(document.querySelectorAll('[data-shortcut="search"]'))
+        .find(element => element.offsetParent !== null);
+
+      if (input) {
+        input.focus();
+        if (input.select) input.select();
+      }
+    }
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Session Compare Component
+ * Side-by-side comparison of two sessions' changes
+ *
+ * Both sessions are loaded through ApiClient; the overall breakdown reuses the
+ * summary component's helpers so counts match the summary tab.
+ */
+
+// Register component with DBWatcher
+DBWatcher.registerComponent('sessionCompare', function(config) {
+  return Object.assign(DBWatcher.BaseComponent(config), {
+    // Component-specific state
+    leftId: config.leftId || '',
+    rightId: config.rightId || '',
+    sides: { left: null, right: null },
+    comparison: null,
+    ignoreTimestamps: true,
+    showOnlyDifferences: true,
+    timestampColumns: ['created_at', 'updated_at'],
+    recordListLimit: 50,
+
+    // Component initialization
+    componentInit() {
+      if (this.leftId && this.rightId) {
+        this.loadComparison();
+      }
+    },
+
+    // Retry action offered with error notifications
+    componentRetry() {
+      this.loadComparison();
+    },
+
+    // Load both sessions and build the comparison
+    async loadComparison() {
+      this.setLoading(true);
+      this.clearError();
+
+      try {
+        const [left, right] = await Promise.all([
+          this.loadSession(this.leftId),
+          this.loadSession(this.rightId)
+        ]);
+
+        this.sides = { left, right };
+        this.buildComparison();
+      } catch (error) {
+        this.handleError(error);
+      } finally {
+        this.setLoading(false);
+      }
+    },
+
+    // Tables and summary data for one session
+    async loadSession(sessionId) {
+      const baseURL = `/dbwatcher/api/v1/sessions/${sessionId}`;
+      const [tables, summary] = await Promise.all([
+        window.ApiClient.get(`${baseURL}/tables_data`, {}, { cancelToken: this.getCancelToken() }),
+        window.ApiClient.get(`${baseURL}/summary_data`, {}, { cancelToken: this.getCancelToken() })
+      ]);
+
+      if (tables.error) throw new Error(`Session ${sessionId}: ${tables.error}`);
+      if (summary.error) throw new Error(`Session ${sessionId}: ${summary.error}`);
+
+      return {
+        id: sessionId,
+        tables: tables.tables_summary || {},
+        summary: this.buildSummaryHelper(sessionId, summary)
+      };
+    },
+
+    // Summary component instance fed with already loaded data, used for its helpers
+    buildSummaryHelper(sessionId, summaryData) {
+      const factory = DBWatcher.ComponentRegistry.get('summary');
+      const helper = factory({ sessionId });
+      helper.summaryData = summaryData;
+      return helper;
+    },
+
+    // Rebuild the comparison (also used when toggling options)
+    buildComparison() {
+      const { left, right } = this.sides;
+      if (!left || !right) return;
+
+      const leftActivity = this.indexActivity(left.summary.getTableActivity());
+      const rightActivity = this.indexActivity(right.summary.getTableActivity());
+      const tableNames = Array.from(new Set([
+        ...Object.keys(left.tables),
+        ...Object.keys(right.tables)
+      ])).sort();
+
+      const tables = tableNames.map(tableName => this.compareTable(
+        tableName,
+        { info: left.tables[tableName], activity: leftActivity[tableName] },
+        { info: right.tables[tableName], activity: rightActivity[tableName] }
+      ));
+
+      this.comparison = {
+        totals: {
+          left: left.summary.getTotalChanges(),
+          right: right.summary.getTotalChanges()
+        },
+        operations: this.compareCounts(left.summary.getOperationBreakdown(), right.summary.getOperationBreakdown()),
+        tables,
+        differingTables: tables.filter(table => table.hasDifferences).length
+      };
+    },
+
+    indexActivity(activity) {
+      return activity.reduce((index, table) => {
+        index[table.name] = table;
+        return index;
+      }, {});
+    },
+
+    // Operation counts side by side with their delta
+    compareCounts(leftCounts = {}, rightCounts = {}) {
+      return ['INSERT', 'UPDATE', 'DELETE'].map(operation => {
+        const left = leftCounts[operation] || 0;
+        const right = rightCounts[operation] || 0;
+        return { operation, left, right, delta: right - left };
+      });
+    },
+
+    // Differences for a single table
+    compareTable(tableName, left, right) {
+      const operations = this.compareCounts(left.activity, right.activity);
+      const leftRecords = this.buildRecordStates(left.info);
+      const rightRecords = this.buildRecordStates(right.info);
+
+      const onlyLeft = Object.keys(leftRecords).filter(key => !rightRecords[key]);
+      const onlyRight = Object.keys(rightRecords).filter(key => !leftRecords[key]);
+      const valueDiffs = Object.keys(leftRecords)
+        .filter(key => rightRecords[key])
+        .map(key => ({ recordId: key, columns: this.compareRecord(leftRecords[key], rightRecords[key]) }))
+        .filter(diff => diff.columns.length > 0);
+
+      return {
+        name: tableName,
+        presence: left.info && right.info ? 'both' : (left.info ? 'left' : 'right'),
+        operations,
+        operationDiffs: operations.filter(item => item.delta !== 0),
+        onlyLeft,
+        onlyRight,
+        valueDiffs,
+        hasDifferences: operations.some(item => item.delta !== 0) ||
+          onlyLeft.length > 0 || onlyRight.length > 0 || valueDiffs.length > 0
+      };
+    },
+
+    // Final state of every record touched in a table, keyed by record ID
+    buildRecordStates(tableInfo) {
+      const records = {};
+      if (!tableInfo || !tableInfo.changes) return records;
+
+      tableInfo.changes.forEach(change => {
+        const snapshot = change.record_snapshot || {};
+        const recordId = change.record_id ?? snapshot.id;
+        if (recordId === null || recordId === undefined) return;
+
+        const key = String(recordId);
+        const record = records[key] || { values: {}, operations: [] };
+
+        if (change.record_snapshot) {
+          Object.assign(record.values, change.record_snapshot);
+        } else {
+          (change.changes || []).forEach(item => {
+            record.values[item.column] = change.operation === 'DELETE' ? item.old_value : item.new_value;
+          });
+        }
+
+        record.operations.push(change.operation);
+        records[key] = record;
+      });
+
+      return records;
+    },
+
+    // Columns whose final values differ for the same record
+    compareRecord(leftRecord, rightRecord) {
+      const columns = Array.from(new Set([
+        ...Object.keys(leftRecord.values),
+        ...Object.keys(rightRecord.values)
+      ]));
+
+      return columns
+        .filter(column => !(this.ignoreTimestamps && this.timestampColumns.includes(column)))
+        .filter(column => this.normalizeValue(leftRecord.values[column]) !== this.normalizeValue(rightRecord.values[column]))
+        .map(column => ({
+          column,
+          left: leftRecord.values[column],
+          right: rightRecord.values[column]
+        }));
+    },
+
+    // Changes are recorded as strings, snapshots keep native types
+    normalizeValue(value) {
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    },
+
+    toggleIgnoreTimestamps() {
+      this.ignoreTimestamps = !this.ignoreTimestamps;
+      this.buildComparison();
+    },
+
+    // Tables shown under the current display option
+    getVisibleTables() {
+      if (!this.comparison) return [];
+      if (!this.showOnlyDifferences) return this.comparison.tables;
+      return this.comparison.tables.filter(table => table.hasDifferences);
+    },
+
+    // Cap long record ID lists
+    limitRecords(recordIds) {
+      return recordIds.slice(0, this.recordListLimit);
+    },
+
+    formatDelta(delta) {
+      if (delta === 0) return '0';
+      return delta > 0 ? `+${delta}` : String(delta);
+    },
+
+    getDeltaClass(delta) {
+      if (delta > 0) return 'text-green-600';
+      if (delta < 0) return 'text-red-600';
+      return 'text-gray-400';
+    },
+
+    formatValue(value) {
+      if (value === null || value === undefined) return 'NULL';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return text.length > 80 ? `${text.substring(0, 77)}...` : text;
+    },
+
+    // Link to a session's tables tab
+    sessionURL(sessionId, tableName) {
+      const url = `/dbwatcher/sessions/${encodeURIComponent(sessionId)}?tab=tables`;
+      return tableName ? `${url}&table=${encodeURIComponent(tableName)}` : url;
+    }
+  });
+});
@@ -11,6 +11,7 @@ DBWatcher.registerComponent('summary', function(config) {
     summaryData: {},
     autoRefresh: config.autoRefresh || false,
     refreshInterval: null,
+    chartError: null,
 
     // Component initialization
     componentInit() {
@@ -28,6 +29,11 @@ DBWatcher.registerComponent('summary', function(config) {
       this.stopAutoRefresh();
     },
 
+    // Retry action offered with error notifications
+    componentRetry() {
+      this.loadSummaryData();
+    },
+
     // Load summary data from API
     async loadSummaryData() {
       if (!this.sessionId) {
@@ -54,6 +60,42 @@ DBWatcher.registerComponent('summary', function(config) {
       } finally {
         this.setLoading(false);
       }
+
+      // Charts live inside the x-if content, so draw them once it is rendered
+      if (!this.error) {
+        this.$nextTick(() => this.renderCharts());
+      }
+    },
+
+    // Draw the SVG charts from the loaded summary data
+    renderCharts() {
+      if (!window.SummaryCharts) return;
+
+      const charts = {
+        operationChart: () => SummaryCharts.donut(this.getOperationBreakdown()),
+        tableChart: () => SummaryCharts.stackedBars(this.getTableActivity()),
+        timelineChart: () => SummaryCharts.histogram(
+          this.summaryData.enhanced_stats?.activity_histogram,
+          this.summaryData.enhanced_stats?.peak_activity
+        )
+      };
+
+      Object.entries(charts).forEach(([ref, build]) => {
+        if (this.$refs[ref]) this.$refs[ref].innerHTML = build();
+      });
+    },
+
+    // Download a rendered chart as PNG or SVG
+    async exportChart(ref, format) {
+      this.chartError = null;
+
+      try {
+        const svg = this.$refs[ref] && this.$refs[ref].querySelector('svg');
+        await SummaryCharts.exportImage(svg, `dbwatcher-${this.sessionId}-${ref}`, format);
+      } catch (error) {
+        console.error('Chart export failed:', error);
+        this.chartError = `Chart export failed: ${error.message}`;
+      }
     },
 
     // Toggle auto-refresh
@@ -19,19 +19,57 @@
           // Filter state
           filters: {
             tables: [],
-            searchText: ""
+            operations: [],
+            searchText: "",
+            recordId: "",
+            timeRange: null
           },
           tableSearch: "",
+          timeWindowStart: "",
+          timeWindowEnd: "",
+
+          // View state
+          viewMode: config.viewMode || 'list',
+          swimlaneCleanup: null,
+          resizeHandler: null,
+
+          // Row expansion and keyboard selection state
+          expandedEntries: {},
+          activeEntryId: null,
+
+          // Record lifecycle panel state
+          lifecycle: null,
+
+          // Live-tail state
+          liveMode: false,
+          livePollDelay: config.livePollDelay || 3000,
+          liveInterval: null,
+          livePolling: false,
+          sessionActive: false,
+          lastSequence: null,
+          pendingNewCount: 0,
 
           // Component initialization
           componentInit() {
+            this.readFiltersFromURL();
             this.loadTimelineData();
             this.setupEventListeners();
           },
 
           // Component cleanup
           componentDestroy() {
-            // Clean up any event listeners or intervals
+            this.stopLiveTail();
+            this.destroySwimlanes();
+
+            if (this.resizeHandler) {
+              window.removeEventListener('resize', this.resizeHandler);
+              this.resizeHandler = null;
+            }
+          },
+
+          // Retry action offered with error notifications
+          componentRetry() {
+            this.loadTimelineData();
           },
 
           // Load timeline data from API
@@ -52,9 +90,16 @@
               if (!data.error) {
                 this.timelineData = data.timeline || [];
                 this.metadata = data.metadata || {};
-                this.filteredData = [...this.timelineData];
+                this.pendingNewCount = 0;
 
                 this.setupInitialView();
+                this.applyFilters();
+                this.updateLiveStatus(data.live);
+
+                // Follow sessions that are still recording
+                if (this.sessionActive && config.liveMode !== false) {
+                  this.startLiveTail();
+                }
               } else {
                 throw new Error(data.error || 'No timeline data received');
               }
@@ -75,7 +120,365 @@
 
           // Setup event listeners
           setupEventListeners() {
-            // Reserved for future keyboard shortcuts
+            // Keep swimlanes sized to the container
+            this.resizeHandler = this.debounce(() => this.renderSwimlanes(), 200);
+            window.addEventListener('resize', this.resizeHandler);
+          },
+
+          // ==========================================
+          // Swimlane view
+          // ==========================================
+
+          // Switch between list and swimlane views
+          setViewMode(mode) {
+            this.viewMode = mode;
+
+            if (mode === 'swimlane') {
+              this.$nextTick(() => this.renderSwimlanes());
+            } else {
+              this.destroySwimlanes();
+            }
+          },
+
+          // Render filtered entries on a time axis, one lane per table
+          renderSwimlanes() {
+            if (this.viewMode !== 'swimlane' || !window.TimelineSwimlane) return;
+
+            this.destroySwimlanes();
+            this.swimlaneCleanup = window.TimelineSwimlane.render(
+              this.$refs.swimlaneContainer,
+              this.filteredData,
+              {
+                origin: this.getSessionStartTimestamp(),
+                range: this.filters.timeRange,
+                colorFor: (operation) => this.getOperationColor(operation),
+                onBrush: (range) => this.setTimeRange(range),
+                onSelect: (entry) => this.openRecordLifecycle(entry)
+              }
+            );
+          },
+
+          // Remove swimlane listeners
+          destroySwimlanes() {
+            if (this.swimlaneCleanup) {
+              this.swimlaneCleanup();
+              this.swimlaneCleanup = null;
+            }
+          },
+
+          // Narrow the time-range filter (milliseconds from session start)
+          setTimeRange(range) {
+            this.filters.timeRange = range;
+            this.syncTimeWindowInputs();
+            this.applyFilters();
+          },
+
+          // Apply the From/To inputs (mm:ss relative to session start)
+          applyTimeWindow() {
+            const start = this.parseRelativeTime(this.timeWindowStart);
+            const end = this.parseRelativeTime(this.timeWindowEnd);
+
+            if (start === null && end === null) {
+              this.filters.timeRange = null;
+            } else {
+              this.filters.timeRange = {
+                start: start ?? 0,
+                end: end ?? Number.MAX_SAFE_INTEGER
+              };
+            }
+            this.applyFilters();
+          },
+
+          // Reflect the active time range in the From/To inputs
+          syncTimeWindowInputs() {
+            const range = this.filters.timeRange;
+            this.timeWindowStart = range ? this.formatRelativeOffset(range.start) : "";
+            this.timeWindowEnd = range && range.end !== Number.MAX_SAFE_INTEGER ?
+              this.formatRelativeOffset(range.end) : "";
+          },
+
+          // Reset the time-range filter
+          clearTimeRange() {
+            this.setTimeRange(null);
+          },
+
+          // First recorded timestamp of the session (seconds)
+          getSessionStartTimestamp() {
+            if (this.timelineData.length === 0) return 0;
+            return this.timelineData[0].raw_timestamp;
+          },
+
+          // Offset of an entry from session start in milliseconds
+          getEntryOffset(entry) {
+            return (entry.raw_timestamp - this.getSessionStartTimestamp()) * 1000;
+          },
+
+          // ==========================================
+          // Live-tail functionality
+          // ==========================================
+
+          // Start polling for operations recorded after the last known sequence
+          startLiveTail() {
+            if (this.liveInterval || !this.sessionActive) return;
+
+            this.liveMode = true;
+            this.liveInterval = setInterval(() => {
+              this.pollNewEntries();
+            }, this.livePollDelay);
+          },
+
+          // Stop polling
+          stopLiveTail() {
+            if (this.liveInterval) {
+              clearInterval(this.liveInterval);
+              this.liveInterval = null;
+            }
+            this.liveMode = false;
+          },
+
+          // Toggle live mode from the UI
+          toggleLiveTail() {
+            if (this.liveMode) {
+              this.stopLiveTail();
+            } else {
+              this.startLiveTail();
+            }
+          },
+
+          // Fetch entries newer than lastSequence without touching the loading state
+          async pollNewEntries() {
+            if (this.livePolling) return;
+            this.livePolling = true;
+
+            try {
+              const url = `/dbwatcher/api/v1/sessions/${this.sessionId}/timeline_data`;
+              const params = this.lastSequence !== null ? { since: this.lastSequence } : {};
+              const data = window.ApiClient ?
+                await window.ApiClient.get(url, params, { cancelToken: this.getCancelToken() }) :
+                await fetch(`${url}?${new URLSearchParams(params)}`).then(response => response.json());
+
+              if (data.error) {
+                throw new Error(data.error);
+              }
+
+              this.mergeNewEntries(data.timeline || []);
+              this.metadata = data.metadata || this.metadata;
+              this.updateLiveStatus(data.live);
+            } catch (error) {
+              if (!window.ApiClient?.isCancelled(error)) console.warn('Live timeline poll failed:', error);
+            } finally {
+              this.livePolling = false;
+            }
+          },
+
+          // Merge freshly recorded entries, keeping the current filters applied
+          mergeNewEntries(entries) {
+            const knownIds = new Set(this.timelineData.map(entry => entry.id));
+            const freshEntries = entries.filter(entry => !knownIds.has(entry.id));
+            if (freshEntries.length === 0) return;
+
+            // The session changed, so cached tables, summary and diagrams are out of date
+            window.ApiClient?.invalidate(this.sessionId);
+
+            const followLatest = this.isScrolledToLatest();
+            const previousCount = this.filteredData.length;
+
+            this.timelineData = [...this.timelineData, ...freshEntries]
+              .sort((a, b) => a.raw_timestamp - b.raw_timestamp);
+            this.applyFilters();
+
+            const addedCount = this.filteredData.length - previousCount;
+            if (addedCount <= 0) return;
+
+            if (followLatest) {
+              this.$nextTick(() => this.scrollToLatest());
+            } else {
+              this.pendingNewCount += addedCount;
+            }
+          },
+
+          // Update live status from an API response
+          updateLiveStatus(live) {
+            if (!live) return;
+
+            this.sessionActive = !!live.session_active;
+            if (live.last_sequence !== null && live.last_sequence !== undefined) {
+              this.lastSequence = Math.max(this.lastSequence ?? -1, live.last_sequence);
+            }
+
+            // Session finished recording - nothing more to tail
+            if (!this.sessionActive) {
+              this.stopLiveTail();
+            }
+          },
+
+          // Check whether the list is scrolled to the newest entries
+          isScrolledToLatest() {
+            const container = this.$refs.timelineScroll;
+            if (!container) return true;
+
+            return container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+          },
+
+          // Scroll to the newest entries and clear the pending pill
+          scrollToLatest() {
+            const container = this.$refs.timelineScroll;
+            if (container) {
+              container.scrollTop = container.scrollHeight;
+            }
+            this.pendingNewCount = 0;
+          },
+
+          // Clear the pending pill once the user scrolls back down
+          handleTimelineScroll() {
+            if (this.pendingNewCount > 0 && this.isScrolledToLatest()) {
+              this.pendingNewCount = 0;
+            }
+          },
+
+          // ==========================================
+          // Row expansion and keyboard navigation
+          // ==========================================
+
+          // Toggle the details of a timeline entry
+          toggleEntryExpansion(entryId) {
+            this.expandedEntries = {
+              ...this.expandedEntries,
+              [entryId]: !this.expandedEntries[entryId]
+            };
+          },
+
+          isEntryExpanded(entryId) {
+            return !!this.expandedEntries[entryId];
+          },
+
+          isActiveEntry(entry) {
+            return this.activeEntryId === entry.id;
+          },
+
+          // Handle shortcuts forwarded by the keyboard layer
+          handleShortcut(detail) {
+            if (!detail || detail.tab !== 'timeline') return;
+
+            switch (detail.action) {
+              case 'next':
+                this.moveActiveEntry(1);
+                break;
+              case 'previous':
+                this.moveActiveEntry(-1);
+                break;
+              case 'toggle':
+                if (this.activeEntryId) this.toggleEntryExpansion(this.activeEntryId);
+                break;
+            }
+          },
+
+          // Step the keyboard selection through the filtered entries
+          moveActiveEntry(step) {
+            if (this.filteredData.length === 0) return;
+
+            const currentIndex = this.filteredData.findIndex(entry => entry.id === this.activeEntryId);
+            const nextIndex = currentIndex === -1 ?
+              (step > 0 ? 0 : this.filteredData.length - 1) :
+              Math.min(this.filteredData.length - 1, Math.max(0, currentIndex + step));
+
+            this.activeEntryId = this.filteredData[nextIndex].id;
+            this.$nextTick(() => {
+              const element = this.$refs.timelineScroll?.querySelector(`[data-entry-id="${CSS.escape(this.activeEntryId)}"]`);
+              if (element) element.scrollIntoView({ block: 'nearest' });
+            });
+          },
+
+          // ==========================================
+          // Record lifecycle drill-down
+          // ==========================================
+
+          // Open the side panel for the record touched by an entry
+          openRecordLifecycle(entry) {
+            if (!entry || entry.record_id === null || entry.record_id === undefined) return;
+
+            this.lifecycle = this.buildRecordLifecycle(entry.table_name, entry.record_id);
+            this.lifecycle.selectedEntryId = entry.id;
+          },
+
+          // Close the side panel
+          closeRecordLifecycle() {
+            this.lifecycle = null;
+          },
+
+          // Fold every operation on a table/record pair into a running snapshot
+          buildRecordLifecycle(tableName, recordId) {
+            const entries = this.timelineData
+              .filter(entry => entry.table_name === tableName && String(entry.record_id) === String(recordId))
+              .sort((a, b) => (a.raw_timestamp - b.raw_timestamp) || (a.sequence - b.sequence));
+
+            const columns = [];
+            const initialValues = {};
+            let snapshot = {};
+            let deleted = false;
+
+            const steps = entries.map(entry => {
+              const columnChanges = {};
+
+              Object.entries(entry.changes || {}).forEach(([column, change]) => {
+                const hasFrom = change && typeof change === 'object' && 'from' in change;
+                const to = change && typeof change === 'object' && 'to' in change ? change.to : change;
+                const from = hasFrom ? change.from : snapshot[column];
+
+                if (!columns.includes(column)) {
+                  columns.push(column);
+                  initialValues[column] = entry.operation === 'INSERT' ? null : from;
+                }
+
+                if (entry.operation === 'DELETE') {
+                  columnChanges[column] = { from: from ?? snapshot[column], to: null };
+                  return;
+                }
+
+                if (from !== to || entry.operation === 'INSERT') {
+                  columnChanges[column] = { from, to };
+                }
+                snapshot[column] = to;
+              });
+
+              if (entry.operation === 'INSERT') deleted = false;
+              if (entry.operation === 'DELETE') deleted = true;
+              snapshot = { ...snapshot };
+
+              return { entry, columnChanges, snapshot, deleted };
+            });
+
+            return {
+              tableName,
+              recordId,
+              steps,
+              columns,
+              netChanges: columns.map(column => ({
+                column,
+                initial: initialValues[column],
+                final: deleted ? null : snapshot[column],
+                changeCount: steps.filter(step => column in step.columnChanges).length
+              }))
+            };
+          },
+
+          // Value of a column after a lifecycle step
+          getLifecycleValue(step, column) {
+            if (step.entry.operation === 'DELETE' && column in step.columnChanges) {
+              return step.columnChanges[column].from;
+            }
+            return step.snapshot[column];
+          },
+
+          // Whether a lifecycle step changed a column
+          isLifecycleChange(step, column) {
+            return column in step.columnChanges;
+          },
+
+          // Display value for lifecycle cells
+          formatLifecycleValue(value) {
+            if (value === null || value === undefined) return 'NULL';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
           },
 
           // ==========================================
@@ -87,9 +490,18 @@
             this.filteredData = this.timelineData.filter((entry) => {
               return (
                 this.matchesTableFilter(entry) &&
-                this.matchesSearchFilter(entry)
+                this.matchesOperationFilter(entry) &&
+                this.matchesRecordFilter(entry) &&
+                this.matchesSearchFilter(entry) &&
+                this.matchesTimeRangeFilter(entry)
               );
             });
+
+            this.updateURL();
+
+            if (this.viewMode === 'swimlane') {
+              this.$nextTick(() => this.renderSwimlanes());
+            }
           },
 
           // Filter by table name
@@ -100,6 +512,24 @@
             );
           },
 
+          // Filter by operation type
+          matchesOperationFilter(entry) {
+            return (
+              this.filters.operations.length === 0 ||
+              this.filters.operations.includes(entry.operation)
+            );
+          },
+
+          // Filter by exact record ID
+          matchesRecordFilter(entry) {
+            const recordId = this.filters.recordId.toString().trim();
+            if (!recordId) return true;
+
+            return entry.record_id !== null &&
+              entry.record_id !== undefined &&
+              entry.record_id.toString() === recordId;
+          },
+
           // Filter by search text
           matchesSearchFilter(entry) {
             if (!this.filters.searchText) return true;
@@ -112,15 +542,88 @@
             );
           },
 
+          // Filter by time window relative to session start
+          matchesTimeRangeFilter(entry) {
+            const range = this.filters.timeRange;
+            if (!range) return true;
+
+            const offset = this.getEntryOffset(entry);
+            return offset >= range.start && offset <= range.end;
+          },
+
           // Clear all filters
           clearFilters() {
             this.filters = {
               tables: [],
-              searchText: ""
+              operations: [],
+              searchText: "",
+              recordId: "",
+              timeRange: null
             };
+            this.syncTimeWindowInputs();
             this.applyFilters();
           },
 
+          // Count active filters for the sidebar badge
+          getActiveFilterCount() {
+            let count = 0;
+            if (this.filters.tables.length > 0) count++;
+            if (this.filters.operations.length > 0) count++;
+            if (this.filters.searchText) count++;
+            if (this.filters.recordId) count++;
+            if (this.filters.timeRange) count++;
+            return count;
+          },
+
+          // ==========================================
+          // URL state
+          // ==========================================
+
+          // Restore filters from the URL so filtered timelines can be shared
+          readFiltersFromURL() {
+            const params = new URLSearchParams(window.location.search);
+            const list = (key) => (params.get(key) || '').split(',').filter(Boolean);
+
+            this.filters.tables = list('tables');
+            this.filters.operations = list('operations');
+            this.filters.searchText = params.get('search') || "";
+            this.filters.recordId = params.get('record_id') || "";
+
+            const from = params.get('from');
+            const to = params.get('to');
+            if (from !== null || to !== null) {
+              this.filters.timeRange = {
+                start: from !== null ? Number(from) || 0 : 0,
+                end: to !== null ? Number(to) || 0 : Number.MAX_SAFE_INTEGER
+              };
+            }
+            this.syncTimeWindowInputs();
+          },
+
+          // Write current filters to the URL without reloading
+          updateURL() {
+            const url = new URL(window.location.href);
+            const params = new URLSearchParams(url.search);
+            const setOrDelete = (key, value) => {
+              if (value !== null && value !== undefined && value !== '') {
+                params.set(key, value);
+              } else {
+                params.delete(key);
+              }
+            };
+
+            const range = this.filters.timeRange;
+            setOrDelete('tables', this.filters.tables.join(','));
+            setOrDelete('operations', this.filters.operations.join(','));
+            setOrDelete('search', this.filters.searchText);
+            setOrDelete('record_id', this.filters.recordId.toString().trim());
+            setOrDelete('from', range ? Math.round(range.start) : null);
+            setOrDelete('to', range && range.end !== Number.MAX_SAFE_INTEGER ? Math.round(range.end) : null);
+
+            url.search = params.toString();
+            window.history.replaceState({}, '', url.toString());
+          },
+
           // ==========================================
           // Utility methods
           // ==========================================
@@ -134,7 +637,7 @@
           // Format duration in milliseconds
           formatDuration(ms) {
             if (!ms || ms < 0) return '0ms';
-            if (ms < 1000) return `${ms}ms`;
+            if (ms < 1000) return `${Math.round(ms)}ms`;
             if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
             return `${(ms / 60000).toFixed(1)}m`;
           },
@@ -196,6 +699,28 @@
           formatRelativeTime(operation) {
             if (!operation) return '00:00';
             return operation.relative_time || '00:00';
+          },
+
+          // Parse "ss", "mm:ss" or "hh:mm:ss" (fractional seconds allowed) into milliseconds
+          parseRelativeTime(value) {
+            if (value === null || value === undefined || value.toString().trim() === '') return null;
+
+            const parts = value.toString().trim().split(':').map(Number);
+            if (parts.some(isNaN)) return null;
+
+            const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+            return Math.round(seconds * 1000);
+          },
+
+          // Format milliseconds as "mm:ss" (with fractions for sub-second windows)
+          formatRelativeOffset(ms) {
+            const safeMs = Math.max(0, ms);
+            const minutes = Math.floor(safeMs / 60000);
+            const seconds = (safeMs % 60000) / 1000;
+            const secondsText = Number.isInteger(seconds) ?
+              String(seconds).padStart(2, '0') :
+              seconds.toFixed(3).padStart(6, '0');
+            return `${String(minutes).padStart(2, '0')}:${secondsText}`;
           }
         });  // End of Object.assign
       });  // End of registerComponent
@@ -8,23 +8,52 @@ document.addEventListener('alpine:init', () => {
     sessions: [],
 
     // UI state
-    activeTab: 'changes',
+    activeTab: 'tables',
+    pluginTabs: [], // Tabs added through DBWatcher.plugins: [{ id, label, plugin }]
     loading: false,
     error: null,
 
-    // Cache for API responses
+    // Notification centre: toasts (errors grouped, with retry), error log and page progress
+    notifications: [],
+    notificationTimeout: 5000, // Errors stay until dismissed or retried
+    notificationSequence: 0,
+    errorLog: [],
+    errorLogOpen: false,
+    maxErrorLog: 100,
+    activeLoads: {}, // Component instance id -> component name while loading
+
+    // Cache for API responses, filled by ApiClient with JSON text and ETags
     cache: {
       changes: new Map(),
       summary: new Map(),
       diagrams: new Map()
     },
 
-    // Cache TTL in milliseconds (5 minutes)
+    // Cache TTL in milliseconds (5 minutes); older entries are served stale and revalidated
     cacheTtl: 5 * 60 * 1000,
 
+    // Also keep cached responses in sessionStorage so they survive page reloads
+    persistCache: false,
+
+    // Session API endpoints and the cache each one goes to
+    cacheEndpoints: {
+      tables_data: 'changes',
+      summary_data: 'summary',
+      diagram_data: 'diagrams'
+    },
+
     // Initialize store
     init() {
       console.log('DBWatcher Alpine store initialized');
+
+      // Components report through BaseComponent.handleError and setLoading
+      window.addEventListener('dbwatcher:error', (event) => this.reportError(event.detail || {}));
+      window.addEventListener('dbwatcher:loading', (event) => this.trackLoading(event.detail || {}));
+
+      // Session data GETs are served from this cache
+      if (window.ApiClient) {
+        window.ApiClient.useCache(this.apiCacheAdapter());
+      }
     },
 
     // Session management
@@ -55,15 +84,31 @@ document.addEventListener('alpine:init', () => {
       return `${type}_${sessionId}_${paramString}`;
     },
 
-    setCache(type, key, data) {
-      this.cache[type].set(key, {
+    setCache(type, key, data, meta = {}) {
+      const entry = {
         data: data,
-        timestamp: Date.now()
-      });
+        timestamp: Date.now(),
+        ...meta
+      };
+
+      this.cache[type].set(key, entry);
+      if (this.persistCache) this.persistCacheEntry(type, key, entry);
+    },
+
+    // Entry regardless of age, falling back to sessionStorage when persisting
+    getCacheEntry(type, key) {
+      let entry = this.cache[type].get(key);
+
+      if (!entry && this.persistCache) {
+        entry = this.readPersistedCacheEntry(type, key);
+        if (entry) this.cache[type].set(key, entry);
+      }
+
+      return entry || null;
     },
 
     getCache(type, key) {
-      const cached = this.cache[type].get(key);
+      const cached = this.getCacheEntry(type, key);
       if (!cached) return null;
 
       // Check if cache is still valid
@@ -83,12 +128,184 @@ document.addEventListener('alpine:init', () => {
           this.cache[key].clear();
         });
       }
+
+      this.removePersistedCacheEntries(type ? `${type}:` : '');
+    },
+
+    // Drop every cached response of a session, e.g. while it is still recording
+    invalidateSession(sessionId = null) {
+      if (sessionId === null) {
+        this.clearCache();
+        return;
+      }
+
+      Object.keys(this.cache).forEach(type => {
+        const prefix = this.getCacheKey(type, sessionId);
+        Array.from(this.cache[type].keys())
+          .filter(key => key.startsWith(prefix))
+          .forEach(key => this.cache[type].delete(key));
+        this.removePersistedCacheEntries(`${type}:${prefix}`);
+      });
+    },
+
+    // Adapter through which ApiClient reads and writes this cache (keys are request URLs)
+    apiCacheAdapter() {
+      return {
+        accepts: (url) => Boolean(this.resolveCacheURL(url)),
+        read: (url) => {
+          const target = this.resolveCacheURL(url);
+          const entry = target && this.getCacheEntry(target.type, target.key);
+          if (!entry) return null;
+
+          return {
+            body: entry.data,
+            etag: entry.etag,
+            mustRevalidate: Boolean(entry.mustRevalidate),
+            fresh: !entry.mustRevalidate && Date.now() - entry.timestamp <= this.cacheTtl
+          };
+        },
+        write: (url, { body, etag, mustRevalidate }) => {
+          const target = this.resolveCacheURL(url);
+          if (target) this.setCache(target.type, target.key, body, { etag, mustRevalidate });
+        },
+        invalidate: (sessionId) => this.invalidateSession(sessionId)
+      };
+    },
+
+    // Cache type and key for a session data URL; null for URLs that are not cached
+    resolveCacheURL(url) {
+      const parsed = new URL(url, window.location.origin);
+      const match = parsed.pathname.match(/\/sessions\/([^/]+)\/(\w+)$/);
+      const type = match && this.cacheEndpoints[match[2]];
+      if (!type) return null;
+
+      const sessionId = decodeURIComponent(match[1]);
+      const params = Object.fromEntries(parsed.searchParams.entries());
+      return { type, key: this.getCacheKey(type, sessionId, params) };
+    },
+
+    // sessionStorage persistence; quota and privacy-mode errors only cost the copy
+    persistCacheEntry(type, key, entry) {
+      try {
+        window.sessionStorage.setItem(`dbwatcher:cache:${type}:${key}`, JSON.stringify(entry));
+      } catch (error) {
+        console.warn('Could not persist cached response:', error);
+      }
+    },
+
+    readPersistedCacheEntry(type, key) {
+      try {
+        return JSON.parse(window.sessionStorage.getItem(`dbwatcher:cache:${type}:${key}`));
+      } catch (error) {
+        return null;
+      }
+    },
+
+    removePersistedCacheEntries(prefix = '') {
+      try {
+        const storageKeys = [];
+        for (let index = 0; index < window.sessionStorage.length; index++) {
+          storageKeys.push(window.sessionStorage.key(index));
+        }
+
+        storageKeys
+          .filter(storageKey => storageKey.startsWith(`dbwatcher:cache:${prefix}`))
+          .forEach(storageKey => window.sessionStorage.removeItem(storageKey));
+      } catch (error) {
+        console.warn('Could not clear persisted responses:', error);
+      }
     },
 
     // Error handling
     setError(error) {
       this.error = error;
       console.error('DBWatcher error:', error);
+      this.reportError({ error });
+    },
+
+    // Show a toast; a visible one with the same type, source and message is
+    // counted instead of repeated. Errors are also written to the error log.
+    notify(message, options = {}) {
+      const {
+        type = 'info',
+        source = null,
+        retry = null,
+        timeout = type === 'error' ? 0 : this.notificationTimeout
+      } = options;
+
+      if (type === 'error') this.logError(source, message);
+
+      let notification = this.notifications.find(item =>
+        item.type === type && item.source === source && item.message === message
+      );
+
+      if (notification) {
+        notification.count++;
+        notification.retry = retry || notification.retry;
+      } else {
+        this.notifications.push({ id: ++this.notificationSequence, type, source, message, retry, count: 1, timer: null });
+        notification = this.notifications[this.notifications.length - 1];
+      }
+
+      clearTimeout(notification.timer);
+      if (timeout > 0) {
+        notification.timer = setTimeout(() => this.dismissNotification(notification.id), timeout);
+      }
+
+      return notification.id;
+    },
+
+    dismissNotification(id) {
+      const notification = this.notifications.find(item => item.id === id);
+      if (notification) clearTimeout(notification.timer);
+      this.notifications = this.notifications.filter(item => item.id !== id);
+    },
+
+    // Run the failing component's retry action
+    retryNotification(id) {
+      const notification = this.notifications.find(item => item.id === id);
+      if (!notification || !notification.retry) return;
+
+      const retry = notification.retry;
+      this.dismissNotification(id);
+      retry();
+    },
+
+    // dbwatcher:error detail: { component, error (message or Error), retry }
+    reportError({ component = null, error = null, retry = null }) {
+      const message = (error && error.message) || (error ? String(error) : 'An unexpected error occurred');
+      this.notify(message, { type: 'error', source: component, retry });
+    },
+
+    logError(source, message) {
+      const now = new Date();
+      const entry = this.errorLog.find(item => item.source === source && item.message === message);
+
+      if (entry) {
+        entry.count++;
+        entry.lastSeen = now;
+        return;
+      }
+
+      this.errorLog.unshift({ id: ++this.notificationSequence, source, message, count: 1, firstSeen: now, lastSeen: now });
+      if (this.errorLog.length > this.maxErrorLog) this.errorLog.pop();
+    },
+
+    clearErrorLog() {
+      this.errorLog = [];
+      this.errorLogOpen = false;
+    },
+
+    // dbwatcher:loading detail: { id, component, loading }
+    trackLoading({ id, component = null, loading }) {
+      if (!id) return;
+
+      const { [id]: _finished, ...others } = this.activeLoads;
+      this.activeLoads = loading ? { ...others, [id]: component } : others;
+    },
+
+    get busy() {
+      return Object.keys(this.activeLoads).length > 0;
     },
 
     clearError() {
@@ -100,23 +317,42 @@ document.addEventListener('alpine:init', () => {
       this.loading = loading;
     }
   });
+
+  // Notifications sent before Alpine started
+  if (window.DBWatcher && DBWatcher._flushNotifications) DBWatcher._flushNotifications();
 });
 
 // Session navigation component
-function sessionNavigation(sessionId) {
+function sessionNavigation(sessionId, initialTab = 'tables') {
   return {
     sessionId: sessionId,
+    popstateHandler: null,
 
     init() {
-      // Set current session in store
-      Alpine.store('dbwatcher').setCurrentSession({ id: this.sessionId });
+      const store = Alpine.store('dbwatcher');
+
+      // Set current session and the server-rendered tab in store
+      store.setCurrentSession({ id: this.sessionId });
+      store.activeTab = this.knownTab(initialTab);
 
-      // Handle browser navigation
-      window.addEventListener('popstate', () => {
+      // Handle browser navigation without pushing a new history entry
+      this.popstateHandler = () => {
         const params = new URLSearchParams(window.location.search);
-        const tab = params.get('tab') || 'changes';
-        Alpine.store('dbwatcher').setActiveTab(tab);
-      });
+        store.activeTab = this.knownTab(params.get('tab') || initialTab);
+      };
+      window.addEventListener('popstate', this.popstateHandler);
+    },
+
+    destroy() {
+      if (this.popstateHandler) {
+        window.removeEventListener('popstate', this.popstateHandler);
+        this.popstateHandler = null;
+      }
+    },
+
+    // Unknown tabs, e.g. old ?tab=changes links, show the tables tab
+    knownTab(tab) {
+      return DBWatcher.plugins.tabIds().includes(tab) ? tab : 'tables';
     },
 
     navigateToTab(tab) {
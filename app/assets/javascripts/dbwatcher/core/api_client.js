@@ -2,7 +2,10 @@
  * API Client for DBWatcher
  *
  * Centralized API communication with error handling,
- * authentication, and response processing.
+ * authentication, and response processing. Requests time out and can be
+ * cancelled through AbortController, idempotent requests are retried with
+ * exponential backoff, and identical concurrent GETs share one fetch. GETs the
+ * configured cache accepts are served stale-while-revalidate with ETags.
  */
 
 const ApiClient = {
@@ -10,6 +13,30 @@ const ApiClient = {
   baseURL: '/dbwatcher/api/v1',
   timeout: 30000,
 
+  // Retries after network errors, timeouts and 5xx responses (idempotent methods only)
+  retries: 2,
+  retryDelay: 500, // First backoff in ms; doubles with every retry
+  maxRetryDelay: 5000,
+  idempotentMethods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+
+  // In-flight GETs keyed by URL
+  inflight: new Map(),
+
+  // Response cache adapter set with useCache():
+  //   accepts(key) -> boolean, read(key) -> { body, etag, fresh, mustRevalidate } | null,
+  //   write(key, { body, etag, mustRevalidate }), invalidate(sessionId | null)
+  // Keys are absolute request URLs; bodies are JSON text.
+  cache: null,
+
+  useCache(adapter) {
+    this.cache = adapter;
+  },
+
+  // Drop cached responses of a session (all sessions when null), e.g. while it records changes
+  invalidate(sessionId = null) {
+    if (this.cache) this.cache.invalidate(sessionId);
+  },
+
   // Default headers
   defaultHeaders: {
     'Content-Type': 'application/json',
@@ -39,13 +66,50 @@ const ApiClient = {
     return `${this.baseURL}/${endpoint}`;
   },
 
-  // Generic request method
+  /**
+   * Cancellation token for one or more requests
+   * @returns {Object} { signal, cancel(), cancelled }
+   */
+  createCancelToken() {
+    const controller = new AbortController();
+
+    // Frozen so Alpine's reactivity leaves it, and its AbortSignal, unwrapped
+    return Object.freeze({
+      signal: controller.signal,
+      cancel: () => controller.abort(),
+      get cancelled() {
+        return controller.signal.aborted;
+      }
+    });
+  },
+
+  // True for errors caused by cancelling a request, which callers usually ignore
+  isCancelled(error) {
+    return Boolean(error && error.cancelled);
+  },
+
+  /**
+   * Generic request method
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path or URL
+   * @param {Object} options - body, headers, params, timeout, retries, retryDelay,
+   *   cancelToken or signal, dedupe (GET only, default true), cacheMode
+   *   ('swr' by default, 'revalidate' to always ask the server, 'bypass') and
+   *   other fetch options
+   * @returns {Promise<*>} Parsed response
+   */
   async request(method, endpoint, options = {}) {
     const {
       body,
       headers = {},
       params = {},
       timeout = this.timeout,
+      retries = this.idempotentMethods.includes(method) ? this.retries : 0,
+      retryDelay = this.retryDelay,
+      cancelToken = null,
+      signal = cancelToken ? cancelToken.signal : null,
+      dedupe = true,
+      cacheMode = 'swr',
       ...fetchOptions
     } = options;
 
@@ -69,23 +133,185 @@ const ApiClient = {
       config.body = typeof body === 'string' ? body : JSON.stringify(body);
     }
 
-    // Create timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timeout')), timeout);
-    });
+    const retryOptions = { timeout, retries, retryDelay };
+    const send = (requestSignal) => this.sendWithRetry(url, config, { ...retryOptions, signal: requestSignal });
 
     try {
-      const response = await Promise.race([
-        fetch(url, config),
-        timeoutPromise
-      ]);
+      if (method === 'GET' && cacheMode !== 'bypass' && this.cache && this.cache.accepts(url.toString())) {
+        return await this.readThroughCache(url, config, retryOptions, signal, cacheMode);
+      }
+
+      if (method === 'GET' && dedupe) {
+        return await this.shareInflight(url.toString(), send, signal);
+      }
 
-      return await this.handleResponse(response);
+      return await send(signal);
     } catch (error) {
       return this.handleError(error);
     }
   },
 
+  // Stale-while-revalidate: fresh entries are returned as they are, stale ones
+  // are returned at once and refreshed in the background, and missing or
+  // must-revalidate ones wait for the server
+  async readThroughCache(url, config, retryOptions, signal, cacheMode) {
+    const key = url.toString();
+    const entry = this.cache.read(key);
+
+    if (entry && cacheMode === 'swr' && (entry.fresh || !entry.mustRevalidate)) {
+      if (!entry.fresh) {
+        this.revalidate(key, url, config, retryOptions, null)
+          .catch(error => console.warn('Background revalidation failed:', error));
+      }
+      return JSON.parse(entry.body);
+    }
+
+    return JSON.parse(await this.revalidate(key, url, config, retryOptions, signal));
+  },
+
+  // Conditional GET with the cached ETag; a 304 keeps the cached body.
+  // Resolves to the response body text.
+  revalidate(key, url, config, retryOptions, signal) {
+    return this.shareInflight(`cache:${key}`, async (requestSignal) => {
+      const entry = this.cache.read(key);
+      const headers = entry && entry.etag ? { ...config.headers, 'If-None-Match': entry.etag } : config.headers;
+      const result = await this.sendWithRetry(
+        url,
+        { ...config, headers },
+        { ...retryOptions, signal: requestSignal },
+        (response) => this.readCacheableResponse(response)
+      );
+
+      if (result.notModified && entry) {
+        this.cache.write(key, { body: entry.body, etag: entry.etag, mustRevalidate: result.mustRevalidate });
+        return entry.body;
+      }
+
+      this.cache.write(key, { body: result.body, etag: result.etag, mustRevalidate: result.mustRevalidate });
+      return result.body;
+    }, signal);
+  },
+
+  async readCacheableResponse(response) {
+    // Responses marked no-cache (active sessions) are revalidated on every read
+    const mustRevalidate = /no-cache/.test(response.headers.get('Cache-Control') || '');
+
+    if (response.status === 304) return { notModified: true, mustRevalidate };
+    if (!response.ok) return this.handleResponse(response);
+
+    return { body: await response.text(), etag: response.headers.get('ETag'), mustRevalidate };
+  },
+
+  // Retry retryable failures, waiting retryDelay * 2^attempt between attempts
+  async sendWithRetry(url, config, { timeout, retries, retryDelay, signal }, handle) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(url, config, timeout, signal, handle);
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryable(error)) throw error;
+        await this.wait(Math.min(retryDelay * 2 ** attempt, this.maxRetryDelay), signal);
+      }
+    }
+  },
+
+  // One attempt; the timeout covers reading the body as well
+  async send(url, config, timeout, signal, handle = (response) => this.handleResponse(response)) {
+    if (signal && signal.aborted) throw this.cancelledError();
+
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, { ...config, signal: controller.signal });
+      return await handle(response);
+    } catch (error) {
+      if (error.status) throw error;
+      if (timedOut) throw Object.assign(new Error('Request timeout'), { timeout: true });
+      if (error.name === 'AbortError') throw this.cancelledError();
+
+      // fetch rejects with a TypeError when the request never got a response
+      error.network = true;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  },
+
+  isRetryable(error) {
+    return Boolean(error.timeout || error.network || error.status >= 500);
+  },
+
+  // Backoff delay that ends early with a cancellation error
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.cancelledError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.cancelledError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  },
+
+  // Identical GETs share one fetch and its parsed response. A caller that
+  // cancels only stops waiting; the fetch is aborted once every caller has.
+  shareInflight(key, send, signal) {
+    let entry = this.inflight.get(key);
+
+    if (!entry) {
+      const controller = new AbortController();
+      entry = { controller, callers: 0 };
+      entry.promise = send(controller.signal).finally(() => {
+        if (this.inflight.get(key) === entry) this.inflight.delete(key);
+      });
+      this.inflight.set(key, entry);
+    }
+
+    entry.callers++;
+    if (!signal) return entry.promise;
+
+    const shared = entry;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        shared.callers--;
+        if (shared.callers === 0) {
+          if (this.inflight.get(key) === shared) this.inflight.delete(key);
+          shared.controller.abort();
+        }
+        reject(this.cancelledError());
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      shared.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  },
+
+  cancelledError() {
+    return Object.assign(new Error('Request cancelled'), { name: 'AbortError', cancelled: true });
+  },
+
   // Handle response processing
   async handleResponse(response) {
     if (!response.ok) {
@@ -116,11 +342,12 @@ const ApiClient = {
 
   // Handle errors consistently
   handleError(error) {
-    if (error.name === 'AbortError') {
-      console.error('Request aborted');
+    // Cancellation is expected (e.g. a component being torn down); nothing to report
+    if (this.isCancelled(error)) {
+      throw error;
     }
 
-    if (error.message === 'Request timeout') {
+    if (error.timeout) {
       console.error('Request timeout');
     }
 
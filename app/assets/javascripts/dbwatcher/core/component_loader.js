@@ -1,67 +1,202 @@
 /**
  * DBWatcher Component Loader
- * Handles component initialization and dependencies
+ * Fetches component bundles on demand and mounts them once their dependencies are loaded
+ *
+ * The layout configures the bundles (script URLs with asset digests) from
+ * Dbwatcher::ComponentBundles. A bundle loads when an element asks for it:
+ *
+ *   <div x-dbcomponent="'diagrams'"><template>...x-data="diagrams(...)"...</template></div>
+ *   <div data-component="diagrams"><template>...</template></div>
+ *
+ * The template content is only inserted and initialized by Alpine after the
+ * bundle and its dependencies have loaded, so the component is registered
+ * before its x-data is evaluated.
  */
 
 window.DBWatcher = window.DBWatcher || {};
 
 DBWatcher.ComponentLoader = {
-  // Track loaded components to prevent duplicates
+  // Track loaded bundles to prevent duplicates
   loadedComponents: new Set(),
 
+  // Bundle name => { scripts: [{ src, dependency }], dependencies: [names] }
+  bundles: {},
+
+  // Pending or finished load per bundle and per script URL
+  loading: new Map(),
+  scripts: new Map(),
+
+  observer: null,
+  directiveRegistered: false,
+
+  // Set the bundles served by the layout
+  configure(config = {}) {
+    this.bundles = { ...this.bundles, ...(config.bundles || {}) };
+    return this;
+  },
+
   // Map of component dependencies
-  componentDependencies: {
-    'diagrams': ['mermaid_service'],
-    'changes_table': [],
-    'summary': []
+  get componentDependencies() {
+    return Object.fromEntries(
+      Object.entries(this.bundles).map(([name, bundle]) => [name, bundle.dependencies || []])
+    );
   },
 
-  // Load a component and its dependencies
-  async load(componentName) {
-    if (this.loadedComponents.has(componentName)) {
-      console.log(`Component ${componentName} already loaded`);
+  /**
+   * Load a bundle after its dependencies; concurrent calls share one load
+   * @param {string} componentName - Bundle name
+   * @param {Array<string>} path - Bundles waiting on this one, to detect cycles
+   * @returns {Promise<boolean>} Resolves once the bundle's scripts have run
+   */
+  load(componentName, path = []) {
+    if (this.loadedComponents.has(componentName)) return Promise.resolve(true);
+    if (this.loading.has(componentName)) return this.loading.get(componentName);
+
+    if (path.includes(componentName)) {
+      return Promise.reject(new Error(`Circular component dependency: ${[...path, componentName].join(' -> ')}`));
+    }
+
+    // Components without a bundle are loaded by the layout
+    const bundle = this.bundles[componentName];
+    if (!bundle) return Promise.resolve(true);
+
+    const promise = (async () => {
+      // Load dependencies first
+      for (const dependency of bundle.dependencies || []) {
+        await this.load(dependency, [...path, componentName]);
+      }
+
+      // In order: a bundle's later scripts may use what its earlier ones define
+      for (const script of bundle.scripts || []) {
+        await this.loadScript(script);
+      }
+
+      this.loadedComponents.add(componentName);
       return true;
+    })();
+
+    // A failed load can be retried
+    this.loading.set(componentName, promise);
+    promise.catch(() => this.loading.delete(componentName));
+    return promise;
+  },
+
+  // Insert a script tag once per URL
+  loadScript({ src, dependency = null }) {
+    if (this.scripts.has(src)) return this.scripts.get(src);
+
+    const promise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.async = false;
+      if (/^https?:\/\//.test(src)) script.crossOrigin = 'anonymous';
+      if (dependency) script.dataset.dbwatcherDependency = dependency;
+
+      script.onload = () => resolve(true);
+      script.onerror = () => {
+        script.remove();
+        this.scripts.delete(src);
+        if (dependency) {
+          (window.DBWatcherAssetErrors = window.DBWatcherAssetErrors || []).push(dependency);
+        }
+        reject(new Error(`Failed to load ${dependency || src}`));
+      };
+
+      document.head.appendChild(script);
+    });
+
+    this.scripts.set(src, promise);
+    return promise;
+  },
+
+  /**
+   * Load an element's bundle, then insert and initialize its template content
+   * @param {HTMLElement} el - Element with x-dbcomponent or data-component
+   * @param {string} componentName - Bundle name
+   */
+  async mount(el, componentName) {
+    if (el._dbwatcherMounting) return;
+    el._dbwatcherMounting = true;
+
+    try {
+      await this.load(componentName);
+    } catch (error) {
+      el._dbwatcherMounting = false;
+      this.reportFailure(componentName, error, () => this.mount(el, componentName));
+      return;
     }
 
-    // Check for dependencies
-    const dependencies = this.componentDependencies[componentName] || [];
+    const template = Array.from(el.children).find(child => child.tagName === 'TEMPLATE');
+    if (!template || !el.isConnected || !window.Alpine) return;
+
+    const nodes = Array.from(template.content.cloneNode(true).childNodes);
+    window.Alpine.mutateDom(() => {
+      template.replaceWith(...nodes);
+    });
+    nodes.filter(node => node.nodeType === Node.ELEMENT_NODE).forEach(node => window.Alpine.initTree(node));
+  },
+
+  // Show the dependency diagnostic for failed libraries and offer a retry
+  reportFailure(componentName, error, retry) {
+    console.error(`Failed to load component ${componentName}:`, error);
 
-    // Load dependencies first
-    for (const dependency of dependencies) {
-      await this.load(dependency);
+    if (DBWatcher._validateDependencies) DBWatcher._validateDependencies();
+    if (DBWatcher.notify) {
+      DBWatcher.notify(`Could not load ${componentName}: ${error.message}`, {
+        type: 'error',
+        source: componentName,
+        retry
+      });
     }
+  },
+
+  // Load bundles for data-component elements inside a subtree
+  scan(root = document) {
+    if (root.nodeType !== Node.ELEMENT_NODE && root !== document) return;
 
-    // Mark as loaded
-    this.loadedComponents.add(componentName);
-    console.log(`Loaded component: ${componentName}`);
-    return true;
+    const elements = Array.from(root.querySelectorAll('[data-component]'));
+    if (root.matches && root.matches('[data-component]')) elements.unshift(root);
+
+    elements.forEach(el => {
+      const componentName = el.dataset.component;
+      if (componentName) this.mount(el, componentName);
+    });
+  },
+
+  // Register the x-dbcomponent directive; Alpine must not start without it
+  registerDirective() {
+    if (this.directiveRegistered || !window.Alpine) return;
+    this.directiveRegistered = true;
+
+    window.Alpine.directive('dbcomponent', (el, { expression }, { evaluate }) => {
+      const componentName = evaluate(expression);
+      if (componentName) this.mount(el, componentName);
+    });
   },
 
   // Initialize the component system
   init(config = {}) {
-    // Setup auto-loading for Alpine.js components
-    document.addEventListener('alpine:init', () => {
-      // Register loader directive for on-demand loading
-      window.Alpine.directive('dbcomponent', (el, { value, expression }, { evaluate }) => {
-        const componentName = evaluate(expression);
-        this.load(componentName).then(() => {
-          console.log(`Component ${componentName} loaded via directive`);
-        });
-      });
+    this.configure(config);
 
-      // Auto-load components from data attributes
-      document.querySelectorAll('[data-component]').forEach(el => {
-        const componentName = el.dataset.component;
-        if (componentName) {
-          this.load(componentName);
-        }
+    if (!this.observer && document.body) {
+      this.scan();
+
+      // Elements added later, e.g. tabs mounted by x-if
+      this.observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(node => this.scan(node)));
       });
-    });
+      this.observer.observe(document.body, { childList: true, subtree: true });
+    }
 
     return this;
   }
 };
 
+// The directive has to exist before Alpine walks the page
+document.addEventListener('alpine:init', () => {
+  DBWatcher.ComponentLoader.registerDirective();
+});
+
 // Auto-init if DBWatcher is available
 if (window.DBWatcher && window.DBWatcher.init) {
   document.addEventListener('DOMContentLoaded', () => {
@@ -73,6 +73,7 @@ DBWatcher.ComponentRegistry = {
         // Merge global config, default config, and instance config
         const mergedConfig = {
           ...this.defaultConfig,
+          componentName: name,
           ...globalConfig,
           ...config
         };
@@ -0,0 +1,255 @@
+/**
+ * DBWatcher Plugin API
+ * Lets host applications add session tabs and components
+ *
+ *   DBWatcher.plugins.register({
+ *     name: 'auditLog',
+ *     tab: { id: 'audit', label: 'Audit log', template: '<div class="h-full" x-data="auditLog()">...</div>' },
+ *     endpoints: { entries: '/admin/audit/sessions/:sessionId/entries' },
+ *     component(config, plugin) {
+ *       return {
+ *         entries: [],
+ *         async componentInit() {
+ *           try {
+ *             this.entries = await this.fetchEndpoint('entries', { limit: 50 });
+ *           } catch (error) {
+ *             this.handleError(error);
+ *           }
+ *         }
+ *       };
+ *     },
+ *     setup(plugin) {},
+ *     activate(plugin, element) {},
+ *     deactivate(plugin, element) {}
+ *   });
+ *
+ * The component is built on BaseComponent and registered with Alpine under the
+ * plugin name, with the plugin context as `this.plugin`. Plugin tabs follow the
+ * built-in ones in the tab bar and are routed through the store's activeTab
+ * like them, so `?tab=<id>` links and keyboard shortcuts work too.
+ */
+
+window.DBWatcher = window.DBWatcher || {};
+
+DBWatcher.plugins = {
+  // Plugin storage
+  _plugins: {},
+
+  // Tab ids rendered by the session layout
+  builtInTabs: ['tables', 'timeline', 'summary', 'diagrams'],
+
+  started: false,
+
+  /**
+   * Register a plugin
+   * @param {Object} definition - { name, tab, component, endpoints, setup, activate, deactivate }
+   * @returns {boolean} Whether the plugin was registered
+   */
+  register(definition = {}) {
+    const { name, tab = null, component = null, endpoints = {} } = definition;
+
+    if (!name || typeof name !== 'string') {
+      console.error('Plugin name must be a non-empty string');
+      return false;
+    }
+
+    if (this._plugins[name]) {
+      console.error(`Plugin '${name}' is already registered`);
+      return false;
+    }
+
+    if (component && typeof component !== 'function') {
+      console.error(`Component factory for plugin '${name}' must be a function`);
+      return false;
+    }
+
+    if (tab && (!tab.id || !tab.label || !tab.template)) {
+      console.error(`Tab of plugin '${name}' needs an id, label and template`);
+      return false;
+    }
+
+    if (tab && this.tabIds().includes(tab.id)) {
+      console.error(`Tab '${tab.id}' of plugin '${name}' is already in use`);
+      return false;
+    }
+
+    const plugin = { name, tab, definition, context: this.createContext(name, endpoints) };
+    this._plugins[name] = plugin;
+
+    if (component) this.registerComponent(plugin, component);
+
+    // Plugins registered after startup join straight away
+    if (this.started) {
+      this.syncTabs();
+      this.callHook(plugin, 'setup');
+    }
+
+    return true;
+  },
+
+  // Get plugin by name
+  get(name) {
+    return this._plugins[name] || null;
+  },
+
+  all() {
+    return Object.values(this._plugins);
+  },
+
+  tabIds() {
+    return [...this.builtInTabs, ...this.all().filter(plugin => plugin.tab).map(plugin => plugin.tab.id)];
+  },
+
+  /**
+   * What a plugin gets to work with; getters so it always sees the current session
+   * @param {string} name - Plugin name
+   * @param {Object} endpoints - Endpoint name => URL with :placeholders
+   * @returns {Object} Frozen context, which also keeps Alpine from proxying it
+   */
+  createContext(name, endpoints) {
+    return Object.freeze({
+      name,
+      endpoints: Object.freeze({ ...endpoints }),
+
+      get api() {
+        return window.ApiClient || null;
+      },
+
+      get store() {
+        return window.Alpine ? window.Alpine.store('dbwatcher') : null;
+      },
+
+      get session() {
+        return this.store ? this.store.currentSession : null;
+      },
+
+      get sessionId() {
+        return this.session ? this.session.id : null;
+      },
+
+      /**
+       * URL of a declared endpoint; params not used as :placeholders become the query
+       * @param {string} key - Endpoint name
+       * @param {Object} params - Placeholder and query values; sessionId defaults to the current session
+       * @returns {Object} { url, query }
+       */
+      endpoint(key, params = {}) {
+        const template = this.endpoints[key];
+        if (!template) throw new Error(`Plugin '${name}' has no endpoint '${key}'`);
+
+        const query = { sessionId: this.sessionId, ...params };
+        const url = template.replace(/:([A-Za-z_]\w*)/g, (match, param) => {
+          if (query[param] === undefined || query[param] === null) {
+            throw new Error(`Missing '${param}' for endpoint '${key}' of plugin '${name}'`);
+          }
+          const value = encodeURIComponent(query[param]);
+          delete query[param];
+          return value;
+        });
+        delete query.sessionId;
+
+        return { url, query };
+      },
+
+      // GET a declared endpoint through ApiClient
+      fetch(key, params = {}, options = {}) {
+        const { url, query } = this.endpoint(key, params);
+        return this.api.get(url, query, options);
+      }
+    });
+  },
+
+  // Plugin component: BaseComponent, endpoint fetching and the plugin's own members
+  registerComponent(plugin, factory) {
+    DBWatcher.ComponentRegistry.register(plugin.name, (config) => Object.assign(
+      DBWatcher.BaseComponent(config),
+      {
+        plugin: plugin.context,
+
+        // fetchData for a declared endpoint: loading state and cancellation; failures are rethrown
+        fetchEndpoint(key, params = {}, options = {}) {
+          const { url, query } = plugin.context.endpoint(key, params);
+          return this.fetchData(url, { ...options, params: query });
+        }
+      },
+      factory.call(plugin.context, config, plugin.context)
+    ));
+  },
+
+  // Hooks report failures as notifications instead of breaking the page
+  callHook(plugin, hook, ...args) {
+    const handler = plugin.definition[hook];
+    if (typeof handler !== 'function') return;
+
+    try {
+      handler.call(plugin.definition, plugin.context, ...args);
+    } catch (error) {
+      console.error(`Plugin '${plugin.name}' ${hook} hook failed:`, error);
+      if (DBWatcher.notify) {
+        DBWatcher.notify(error.message || String(error), { type: 'error', source: plugin.name });
+      }
+    }
+  },
+
+  // Tabs shown by the tab bar, kept in the store so it updates reactively
+  syncTabs() {
+    const store = window.Alpine && window.Alpine.store('dbwatcher');
+    if (!store) return;
+
+    store.pluginTabs = this.all()
+      .filter(plugin => plugin.tab)
+      .map(plugin => ({ id: plugin.tab.id, label: plugin.tab.label, plugin: plugin.name }));
+  },
+
+  /**
+   * Fill a tab outlet with the plugin's template, calling activate and, once
+   * the tab is left and Alpine removes the element, deactivate
+   * @param {HTMLElement} el - Outlet element
+   * @param {Object} plugin - Registered plugin
+   * @param {Function} cleanup - Alpine directive cleanup registration
+   */
+  mountTab(el, plugin, cleanup) {
+    let mounted = false;
+
+    // After Alpine finished walking the outlet, like ComponentLoader.mount
+    queueMicrotask(() => {
+      if (!el.isConnected) return;
+
+      const template = plugin.tab.template;
+      const markup = typeof template === 'function' ? template(plugin.context) : template;
+
+      window.Alpine.mutateDom(() => {
+        el.innerHTML = markup;
+      });
+      Array.from(el.children).forEach(child => window.Alpine.initTree(child));
+
+      mounted = true;
+      this.callHook(plugin, 'activate', el);
+    });
+
+    cleanup(() => {
+      if (mounted) this.callHook(plugin, 'deactivate', el);
+    });
+  },
+
+  // Called once Alpine and the store exist; a repeated alpine:init only refreshes the tabs
+  start() {
+    if (!window.Alpine) return;
+
+    this.syncTabs();
+    if (this.started) return;
+    this.started = true;
+
+    window.Alpine.directive('dbplugin', (el, { expression }, { evaluate, cleanup }) => {
+      const plugin = this.get(evaluate(expression));
+      if (plugin && plugin.tab) this.mountTab(el, plugin, cleanup);
+    });
+
+    this.all().forEach(plugin => this.callHook(plugin, 'setup'));
+  }
+};
+
+// Listeners run in load order, so the store from alpine_store.js exists by now
+document.addEventListener('alpine:init', () => {
+  DBWatcher.plugins.start();
+});
@@ -21,6 +21,9 @@ window.DBWatcher = {
   // Base Component - will be initialized from components/base.js
   BaseComponent: null,
 
+  // Notifications sent before the Alpine store existed
+  _pendingNotifications: [],
+
   // Initialize the entire system
   init(config = {}) {
     if (this.initialized) {
@@ -66,25 +69,64 @@ window.DBWatcher = {
     }
   },
 
-  // Validate that required dependencies are loaded
+  // Browser libraries checked at startup: global they define and what breaks without them.
+  // Lazy ones load with a component bundle and are only reported once their script failed.
+  dependencyChecks: [
+    { name: 'alpine', label: 'Alpine.js', impact: 'the UI is not interactive', test: () => window.Alpine },
+    { name: 'alpine-collapse', label: 'Alpine.js collapse plugin', impact: 'collapsible sections do not work',
+      test: () => !window.Alpine || window.Alpine.directive('collapse') },
+    { name: 'mermaid', label: 'Mermaid', impact: 'the diagrams tab cannot render', test: () => window.mermaid, lazy: true },
+    { name: 'svg-pan-zoom', label: 'svg-pan-zoom', impact: 'diagrams cannot be panned or zoomed', test: () => window.svgPanZoom, lazy: true },
+    { name: 'tabulator', label: 'Tabulator', impact: 'change tables cannot render', test: () => window.Tabulator },
+    { name: 'lodash', label: 'lodash', impact: 'some helpers are unavailable', test: () => window._ },
+    { name: 'date-fns', label: 'date-fns', impact: 'dates may be formatted incorrectly', test: () => window.dateFns }
+  ],
+
+  // Validate that dependencies are loaded and report failures in the page
   _validateDependencies() {
-    const missing = [];
-
-    // Check for Alpine.js
-    if (!window.Alpine) {
-      missing.push('Alpine.js');
-    } else if (!window.Alpine.directive('collapse')) {
-      missing.push('Alpine.js collapse plugin');
-    }
+    const failedScripts = window.DBWatcherAssetErrors || [];
+    const missing = this.dependencyChecks
+      .filter(check => failedScripts.includes(check.name) || (!check.lazy && !check.test()))
+      .map(check => ({ ...check, source: this._dependencySource(check.name) }));
 
-    // Log warnings for missing dependencies
     if (missing.length > 0) {
-      console.warn(`DBWatcher missing dependencies: ${missing.join(', ')}`);
+      console.warn(`DBWatcher missing dependencies: ${missing.map(check => check.label).join(', ')}`);
+      this._showDependencyDiagnostic(missing);
     }
 
     return missing.length === 0;
   },
 
+  // URL the layout loaded a dependency from
+  _dependencySource(name) {
+    const script = document.querySelector(`script[data-dbwatcher-dependency="${name}"]`);
+    return script ? script.src : null;
+  },
+
+  // Banner listing failed dependencies; inline styles so it shows even without Tailwind
+  _showDependencyDiagnostic(missing) {
+    if (!document.body || document.getElementById('dbwatcher-dependency-diagnostic')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'dbwatcher-dependency-diagnostic';
+    banner.setAttribute('role', 'alert');
+    banner.style.cssText = 'position:fixed;left:12px;right:12px;bottom:12px;z-index:9999;padding:10px 12px;' +
+      'background:#fef2f2;border:1px solid #fca5a5;border-radius:6px;color:#991b1b;' +
+      'font:12px/1.5 ui-sans-serif,system-ui,sans-serif;box-shadow:0 2px 6px rgba(0,0,0,0.15);';
+
+    banner.innerHTML = `
+      <button type="button" aria-label="Dismiss" style="float:right;border:0;background:none;color:#991b1b;cursor:pointer;font-size:14px;">&times;</button>
+      <strong>Some DBWatcher assets failed to load</strong>
+      <ul style="margin:4px 0 0 16px;padding:0;list-style:disc;">
+        ${missing.map(check => `
+          <li>${FileExport.escape(check.label)}: ${FileExport.escape(check.impact)}${check.source ? ` <span style="color:#b91c1c;opacity:0.8;">(${FileExport.escape(check.source)})</span>` : ''}</li>
+        `).join('')}
+      </ul>`;
+
+    banner.querySelector('button').addEventListener('click', () => banner.remove());
+    document.body.appendChild(banner);
+  },
+
   // Create a new component instance
   createComponent(name, config = {}) {
     if (!this.ComponentRegistry) {
@@ -115,6 +157,23 @@ window.DBWatcher = {
     return this.ComponentRegistry.register(name, factory);
   },
 
+  // Toast through the notification centre in the dbwatcher store
+  // options: { type: 'info' | 'success' | 'error', source, retry, timeout }
+  notify(message, options = {}) {
+    const store = window.Alpine && window.Alpine.store('dbwatcher');
+    if (store) return store.notify(message, options);
+
+    // Alpine has not started yet; shown once the store exists
+    this._pendingNotifications.push({ message, options });
+    return null;
+  },
+
+  // Called by the store once it is registered
+  _flushNotifications() {
+    const pending = this._pendingNotifications.splice(0);
+    pending.forEach(({ message, options }) => this.notify(message, options));
+  },
+
   // Legacy support for old API
   registerComponent(name, factory) {
     return this.register(name, factory);
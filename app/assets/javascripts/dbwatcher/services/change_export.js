@@ -0,0 +1,210 @@
+/**
+ * Change Export Service
+ *
+ * Serializes recorded changes as CSV, JSON, replayable SQL or rollback SQL
+ * and hands the result to the browser as a download.
+ */
+
+const ChangeExport = {
+  formats: {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    sql: { extension: 'sql', mimeType: 'application/sql' }
+  },
+
+  // Column used to address records in UPDATE and DELETE statements
+  primaryKey: 'id',
+
+  // Serialize changes in the given format
+  serialize(format, changes, meta = {}) {
+    switch (format) {
+      case 'csv':
+        return this.toCSV(changes);
+      case 'json':
+        return this.toJSON(changes, meta);
+      case 'sql':
+        return this.toSQL(changes, meta);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+  },
+
+  // One row per change; record columns are the union across exported tables
+  toCSV(changes) {
+    const columns = [];
+    changes.forEach(change => {
+      Object.keys(this.getRecordValues(change)).forEach(column => {
+        if (!columns.includes(column)) columns.push(column);
+      });
+    });
+
+    const header = ['table_name', 'operation', 'timestamp', 'record_id', 'changed_columns', ...columns];
+    const rows = changes.map(change => {
+      const values = this.getRecordValues(change);
+      const changed = change.operation === 'UPDATE' ? (change.changes || []).map(item => item.column) : [];
+
+      return [
+        change.table_name,
+        change.operation,
+        change.timestamp,
+        change.record_id,
+        changed.join(' '),
+        ...columns.map(column => values[column])
+      ];
+    });
+
+    return [header, ...rows].map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\n');
+  },
+
+  // Keep the recorded change structure intact
+  toJSON(changes, meta = {}) {
+    return JSON.stringify({
+      ...meta,
+      exported_at: new Date().toISOString(),
+      count: changes.length,
+      changes
+    }, null, 2);
+  },
+
+  // Statements that replay the changes in recorded order
+  toSQL(changes, meta = {}) {
+    const header = [
+      '-- DBWatcher change export',
+      meta.session_id ? `-- Session: ${meta.session_id}` : null,
+      `-- Exported: ${new Date().toISOString()}`,
+      `-- Statements: ${changes.length}`
+    ].filter(Boolean);
+
+    const statements = changes.map(change => this.buildStatement(change));
+    return [...header, '', ...statements].join('\n') + '\n';
+  },
+
+  // Statements that undo the changes, newest first, in a single transaction
+  toRollbackSQL(changes, meta = {}) {
+    const header = [
+      '-- DBWatcher rollback script',
+      meta.session_id ? `-- Session: ${meta.session_id}` : null,
+      `-- Generated: ${new Date().toISOString()}`,
+      `-- Statements: ${changes.length}`,
+      '-- Review before running: statements assume the rows still match the recorded state'
+    ].filter(Boolean);
+
+    const statements = this.sortNewestFirst(changes).map(change => this.buildInverseStatement(change));
+    return [...header, '', 'BEGIN;', ...statements, 'COMMIT;'].join('\n') + '\n';
+  },
+
+  // Reverse recorded order by the session-wide sequence from tables_data; timestamps only have
+  // one-second resolution, so they are the fallback for changes without one
+  sortNewestFirst(changes) {
+    const sequenced = changes.every(change => Number.isInteger(change.sequence));
+
+    return changes
+      .map((change, position) => ({ change, position, time: Date.parse(change.timestamp) || 0 }))
+      .sort((a, b) => sequenced
+        ? b.change.sequence - a.change.sequence
+        : (b.time - a.time) || (b.position - a.position))
+      .map(item => item.change);
+  },
+
+  // SQL statement that undoes a single change
+  buildInverseStatement(change) {
+    const table = this.quoteIdentifier(change.table_name);
+
+    switch (change.operation) {
+      case 'INSERT':
+        return `DELETE FROM ${table} WHERE ${this.buildWhereClause(change)};`;
+      case 'UPDATE': {
+        const assignments = (change.changes || [])
+          .map(item => `${this.quoteIdentifier(item.column)} = ${this.quoteValue(item.old_value)}`);
+        if (assignments.length === 0) return `-- UPDATE ${table}: no column changes recorded`;
+        return `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${this.buildWhereClause(change)};`;
+      }
+      case 'DELETE':
+        return this.buildInsert(table, this.getRecordValues(change));
+      default:
+        return `-- Unsupported operation ${change.operation} on ${table}`;
+    }
+  },
+
+  // SQL statement that applies a single change
+  buildStatement(change) {
+    const table = this.quoteIdentifier(change.table_name);
+
+    switch (change.operation) {
+      case 'INSERT':
+        return this.buildInsert(table, this.getRecordValues(change));
+      case 'UPDATE': {
+        const assignments = (change.changes || [])
+          .map(item => `${this.quoteIdentifier(item.column)} = ${this.quoteValue(item.new_value)}`);
+        if (assignments.length === 0) return `-- UPDATE ${table}: no column changes recorded`;
+        return `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${this.buildWhereClause(change)};`;
+      }
+      case 'DELETE':
+        return `DELETE FROM ${table} WHERE ${this.buildWhereClause(change)};`;
+      default:
+        return `-- Unsupported operation ${change.operation} on ${table}`;
+    }
+  },
+
+  buildInsert(table, values) {
+    const columns = Object.keys(values);
+    return `INSERT INTO ${table} (${columns.map(column => this.quoteIdentifier(column)).join(', ')}) ` +
+      `VALUES (${columns.map(column => this.quoteValue(values[column])).join(', ')});`;
+  },
+
+  // Identify the record by primary key, falling back to the recorded id
+  buildWhereClause(change) {
+    return `${this.quoteIdentifier(this.primaryKey)} = ${this.quoteValue(this.getRecordId(change))}`;
+  },
+
+  getRecordId(change) {
+    const snapshot = change.record_snapshot || {};
+    return snapshot[this.primaryKey] !== undefined ? snapshot[this.primaryKey] : change.record_id;
+  },
+
+  // Column values for the record: snapshot first, then recorded new values
+  getRecordValues(change) {
+    if (change.record_snapshot && typeof change.record_snapshot === 'object') {
+      return { ...change.record_snapshot };
+    }
+
+    const values = {};
+    (change.changes || []).forEach(item => {
+      values[item.column] = change.operation === 'DELETE' ? item.old_value : item.new_value;
+    });
+    return values;
+  },
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  },
+
+  quoteValue(value) {
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+  },
+
+  csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  // Trigger a browser download for the serialized content
+  download(content, filename, mimeType) {
+    FileExport.download(new Blob([content], { type: mimeType }), filename);
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.ChangeExport = ChangeExport;
+}
+
+// Make available globally
+window.ChangeExport = ChangeExport;
@@ -0,0 +1,136 @@
+/**
+ * Diagram Diff Service
+ *
+ * Compares the generated Mermaid source of two sessions (same diagram type):
+ * entities and relationships that were added, removed or changed. The merged
+ * source contains both sides so removed items can still be drawn and marked.
+ */
+
+const DiagramDiff = {
+  /**
+   * Compare a baseline diagram with the current one
+   * @param {string} baseSource - Mermaid source of the session compared against
+   * @param {string} currentSource - Mermaid source of the current session
+   * @returns {Object} { entities: {added, removed, changed}, relationships: {added, removed, changed}, content, hasChanges }
+   */
+  compare(baseSource, currentSource) {
+    const filter = window.DiagramFilter;
+    const base = filter.parse(baseSource);
+    const current = filter.parse(currentSource);
+
+    const baseBodies = this.entityBodies(base);
+    const currentBodies = this.entityBodies(current);
+    const baseIds = Object.keys(base.entities);
+    const currentIds = Object.keys(current.entities);
+
+    const entities = {
+      added: currentIds.filter(id => !base.entities[id]).sort(),
+      removed: baseIds.filter(id => !current.entities[id]).sort(),
+      changed: currentIds
+        .filter(id => base.entities[id] && (baseBodies[id] || []).join('\n') !== (currentBodies[id] || []).join('\n'))
+        .sort()
+        .map(id => ({
+          id,
+          addedLines: (currentBodies[id] || []).filter(line => !(baseBodies[id] || []).includes(line)),
+          removedLines: (baseBodies[id] || []).filter(line => !(currentBodies[id] || []).includes(line))
+        }))
+    };
+
+    const relationships = this.compareRelationships(base, current);
+
+    return {
+      entities,
+      relationships,
+      content: this.mergeSources(current, base, entities.removed, relationships.removed),
+      hasChanges: entities.added.length + entities.removed.length + entities.changed.length +
+        relationships.added.length + relationships.removed.length + relationships.changed.length > 0
+    };
+  },
+
+  // Normalized definition lines per entity: attributes, methods, flowchart labels
+  entityBodies(parsed) {
+    const bodies = {};
+
+    parsed.segments.filter(segment => segment.type === 'entity').forEach(segment => {
+      const lines = segment.lines
+        .map(line => line.trim())
+        .filter(line => line && line !== '}' && !line.startsWith('%%') && !line.endsWith('{'));
+      bodies[segment.id] = (bodies[segment.id] || []).concat(lines);
+    });
+
+    return bodies;
+  },
+
+  // Relationships keyed by their definition line; a different line for the same pair is a change
+  compareRelationships(base, current) {
+    const describe = (relationship) => ({
+      source: relationship.source,
+      target: relationship.target,
+      definition: relationship.lines[0].trim()
+    });
+    const relationshipsOf = (parsed) => parsed.segments
+      .filter(segment => segment.type === 'relationship')
+      .map(describe);
+
+    const baseRelationships = relationshipsOf(base);
+    const currentRelationships = relationshipsOf(current);
+    const definitions = (list) => new Set(list.map(item => item.definition));
+    const baseDefinitions = definitions(baseRelationships);
+    const currentDefinitions = definitions(currentRelationships);
+
+    const added = currentRelationships.filter(item => !baseDefinitions.has(item.definition));
+    const removed = baseRelationships.filter(item => !currentDefinitions.has(item.definition));
+    const samePair = (a, b) => a.source === b.source && a.target === b.target;
+
+    return {
+      added: added.filter(item => !removed.some(other => samePair(item, other))),
+      removed: removed.filter(item => !added.some(other => samePair(item, other))),
+      changed: added
+        .filter(item => removed.some(other => samePair(item, other)))
+        .map(item => ({ ...item, previous: removed.find(other => samePair(item, other)).definition }))
+    };
+  },
+
+  // Current source plus the removed entities and relationships from the baseline
+  mergeSources(current, base, removedEntityIds, removedRelationships) {
+    const lines = current.segments.flatMap(segment => segment.lines);
+    const removedDefinitions = new Set(removedRelationships.map(item => item.definition));
+
+    const removedLines = base.segments
+      .filter(segment =>
+        (segment.type === 'entity' && removedEntityIds.includes(segment.id)) ||
+        (segment.type === 'relationship' && removedDefinitions.has(segment.lines[0].trim()))
+      )
+      .flatMap(segment => segment.lines);
+
+    if (removedLines.length === 0) return lines.join('\n');
+    return [...lines, '', '    %% Removed since the compared session', ...removedLines].join('\n');
+  },
+
+  // Status of a single entity id: 'added', 'removed', 'changed' or null
+  entityStatus(diff, id) {
+    if (diff.entities.added.includes(id)) return 'added';
+    if (diff.entities.removed.includes(id)) return 'removed';
+    if (diff.entities.changed.some(item => item.id === id)) return 'changed';
+    return null;
+  },
+
+  // Status of the relationship(s) between two entities, in either direction
+  relationshipStatus(diff, fromId, toId) {
+    const between = (item) => (item.source === fromId && item.target === toId) ||
+      (item.source === toId && item.target === fromId);
+
+    if (diff.relationships.added.some(between)) return 'added';
+    if (diff.relationships.removed.some(between)) return 'removed';
+    if (diff.relationships.changed.some(between)) return 'changed';
+    return null;
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.DiagramDiff = DiagramDiff;
+}
+
+// Make available globally
+window.DiagramDiff = DiagramDiff;
@@ -0,0 +1,146 @@
+/**
+ * Diagram Export Service
+ *
+ * Turns a rendered Mermaid diagram into standalone files: a full-extent SVG
+ * without the svg-pan-zoom viewport transform, PNG through an offscreen canvas
+ * and a print page for PDF output. Every export carries a title block with the
+ * session name and diagram type.
+ */
+
+const DiagramExport = {
+  padding: 24,
+  titleHeight: 56,
+  // Browsers refuse canvases much larger than this per side
+  maxCanvasSize: 16384,
+  fontFamily: 'ui-sans-serif, system-ui, -apple-system, sans-serif',
+
+  /**
+   * Standalone SVG markup for a rendered diagram
+   * @param {SVGSVGElement} svgElement - Live diagram SVG
+   * @param {Object} meta - { sessionName, diagramType }
+   * @returns {Object} { markup, width, height }
+   */
+  buildSVG(svgElement, meta = {}) {
+    if (!svgElement) throw new Error('Diagram not rendered');
+
+    const bounds = this.getContentBounds(svgElement);
+    const clone = svgElement.cloneNode(true);
+
+    // Drop pan/zoom state and controls so the whole diagram is visible at 1:1
+    clone.querySelectorAll('#svg-pan-zoom-controls').forEach(element => element.remove());
+    clone.querySelectorAll('.svg-pan-zoom_viewport').forEach(viewport => {
+      viewport.removeAttribute('transform');
+      viewport.removeAttribute('style');
+    });
+
+    const width = Math.ceil(bounds.width + this.padding * 2);
+    const height = Math.ceil(bounds.height + this.padding * 2 + this.titleHeight);
+    const originX = bounds.x - this.padding;
+    const originY = bounds.y - this.padding - this.titleHeight;
+
+    clone.removeAttribute('style');
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('viewBox', `${originX} ${originY} ${width} ${height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const title = this.buildTitle(meta);
+    const header = new DOMParser().parseFromString(`
+      <svg xmlns="http://www.w3.org/2000/svg">
+        <title>${FileExport.escape(title.heading)}</title>
+        <rect x="${originX}" y="${originY}" width="${width}" height="${height}" fill="#ffffff"></rect>
+        <g class="dbwatcher-title-block" style="font-family: ${this.fontFamily};">
+          <text x="${originX + this.padding}" y="${originY + 26}" style="font-size: 16px; font-weight: 600; fill: #111827;">${FileExport.escape(title.heading)}</text>
+          <text x="${originX + this.padding}" y="${originY + 44}" style="font-size: 11px; fill: #6b7280;">${FileExport.escape(title.subheading)}</text>
+          <line x1="${originX + this.padding}" y1="${originY + this.titleHeight - 4}" x2="${originX + width - this.padding}" y2="${originY + this.titleHeight - 4}" stroke="#e5e7eb"></line>
+        </g>
+      </svg>`, 'image/svg+xml').documentElement;
+
+    // Title block goes underneath the diagram content
+    Array.from(header.childNodes).reverse().forEach(node => {
+      clone.insertBefore(document.importNode(node, true), clone.firstChild);
+    });
+
+    return { markup: new XMLSerializer().serializeToString(clone), width, height };
+  },
+
+  // Extent of the diagram content in its own coordinate space
+  getContentBounds(svgElement) {
+    const content = svgElement.querySelector('.svg-pan-zoom_viewport') || svgElement;
+
+    try {
+      const box = content.getBBox();
+      if (box.width > 0 && box.height > 0) return box;
+    } catch (error) {
+      // getBBox throws for elements that are not rendered
+    }
+
+    const viewBox = svgElement.viewBox && svgElement.viewBox.baseVal;
+    if (viewBox && viewBox.width > 0) return viewBox;
+
+    throw new Error('Diagram has no visible content to export');
+  },
+
+  buildTitle(meta) {
+    return {
+      heading: meta.sessionName || 'DBWatcher session',
+      subheading: [meta.diagramType, `Exported ${new Date().toLocaleString()}`].filter(Boolean).join(' · ')
+    };
+  },
+
+  // File name from session name, diagram type and an optional variant such as "2x"
+  filename(meta, extension, variant = null) {
+    const slug = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const parts = ['dbwatcher', slug(meta.sessionName), slug(meta.diagramType), slug(variant)].filter(Boolean);
+    return `${parts.join('-')}.${extension}`;
+  },
+
+  exportSVG(svgElement, meta = {}) {
+    const { markup } = this.buildSVG(svgElement, meta);
+    FileExport.download(new Blob([markup], { type: 'image/svg+xml' }), this.filename(meta, 'svg'));
+  },
+
+  async exportPNG(svgElement, meta = {}, scale = 2) {
+    const { markup, width, height } = this.buildSVG(svgElement, meta);
+    const safeScale = Math.min(scale, this.maxCanvasSize / Math.max(width, height));
+    const blob = await FileExport.rasterize(markup, width, height, safeScale);
+
+    // Very large diagrams are scaled down to fit the canvas limit
+    FileExport.download(blob, this.filename(meta, 'png', safeScale < scale ? null : `${scale}x`));
+  },
+
+  // Open the diagram on its own page and bring up the print dialog (Save as PDF)
+  print(svgElement, meta = {}) {
+    const { markup, width, height } = this.buildSVG(svgElement, meta);
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) throw new Error('Allow pop-ups to print the diagram');
+
+    const orientation = width > height ? 'landscape' : 'portrait';
+    printWindow.document.write(`<!DOCTYPE html>
+      <html>
+        <head>
+          <title>${FileExport.escape(this.buildTitle(meta).heading)}</title>
+          <style>
+            @page { size: ${orientation}; margin: 12mm; }
+            html, body { margin: 0; background: #ffffff; }
+            svg { display: block; width: 100%; height: auto; max-height: 100vh; }
+            @media print { svg { page-break-inside: avoid; } }
+          </style>
+        </head>
+        <body>${markup}</body>
+      </html>`);
+    printWindow.document.close();
+    printWindow.focus();
+
+    // Give the new document a frame to lay out before printing
+    setTimeout(() => printWindow.print(), 250);
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.DiagramExport = DiagramExport;
+}
+
+// Make available globally
+window.DiagramExport = DiagramExport;
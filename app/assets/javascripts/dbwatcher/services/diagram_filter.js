@@ -0,0 +1,213 @@
+/**
+ * Diagram Filter Service
+ *
+ * Narrows generated Mermaid source (ERD, class diagram, flowchart) to a subset
+ * of entities: include/exclude name patterns, an N-hop neighbourhood around a
+ * focus entity and optionally no isolated entities. Works on the source text so
+ * the result renders like any other diagram.
+ */
+
+const DiagramFilter = {
+  // Entity name patterns: plain names or `*` wildcards
+  namePattern: '(`[^`]+`|[\\w.]+)',
+
+  // Split Mermaid source into header, entity blocks, relationships and other lines
+  parse(source) {
+    const lines = String(source || '').split('\n');
+    const kind = this.detectKind(lines);
+    const segments = [];
+    const entities = {};
+    const relationships = [];
+    let block = null;
+
+    lines.forEach(line => {
+      if (block) {
+        block.lines.push(line);
+        if (/^\s*\}\s*$/.test(line)) block = null;
+        return;
+      }
+
+      const blockStart = line.match(new RegExp(`^\\s*(?:class\\s+)?${this.namePattern}\\s*\\{\\s*$`));
+      if (blockStart) {
+        const id = this.stripName(blockStart[1]);
+        block = { type: 'entity', id, lines: [line] };
+        entities[id] = { id, label: id };
+        segments.push(block);
+        return;
+      }
+
+      const relationship = this.matchRelationship(kind, line);
+      if (relationship) {
+        relationships.push(relationship);
+        segments.push({ type: 'relationship', ...relationship, lines: [line] });
+        return;
+      }
+
+      const node = kind === 'flowchart' && line.match(/^\s*(\w+)\["(.*)"\]\s*$/);
+      if (node) {
+        entities[node[1]] = { id: node[1], label: node[2] };
+        segments.push({ type: 'entity', id: node[1], lines: [line] });
+        return;
+      }
+
+      const note = line.match(new RegExp(`^\\s*note\\s+for\\s+${this.namePattern}\\s`));
+      if (note) {
+        segments.push({ type: 'entity', id: this.stripName(note[1]), lines: [line] });
+        return;
+      }
+
+      segments.push({ type: 'line', lines: [line] });
+    });
+
+    // ERD and class relationships may name entities that have no block
+    relationships.forEach(({ source, target }) => {
+      [source, target].forEach(id => {
+        if (!entities[id]) entities[id] = { id, label: id };
+      });
+    });
+
+    return { kind, segments, entities, relationships };
+  },
+
+  detectKind(lines) {
+    const header = lines.find(line => line.trim() && !line.trim().startsWith('%%')) || '';
+    if (/^\s*erDiagram/.test(header)) return 'erd';
+    if (/^\s*classDiagram/.test(header)) return 'class';
+    if (/^\s*(flowchart|graph)\b/.test(header)) return 'flowchart';
+    return 'unknown';
+  },
+
+  // Source and target of a relationship line for the given diagram kind
+  matchRelationship(kind, line) {
+    const name = this.namePattern;
+    const patterns = {
+      erd: new RegExp(`^\\s*${name}\\s+[|}{o.\\-]+\\s+${name}\\s*:`),
+      class: new RegExp(`^\\s*${name}\\s+(?:"[^"]*"\\s+)?(?:<\\|--|--\\|>|-->|<--|\\*--|--\\*|o--|--o|\\.\\.>|<\\.\\.|--|\\.\\.)\\s+(?:"[^"]*"\\s+)?${name}`),
+      flowchart: new RegExp(`^\\s*${name}\\s+[-.=]+>?(?:\\|.*\\|)?\\s+${name}\\s*$`)
+    };
+
+    const pattern = patterns[kind];
+    const match = pattern && line.match(pattern);
+    return match ? { source: this.stripName(match[1]), target: this.stripName(match[2]) } : null;
+  },
+
+  stripName(name) {
+    return String(name).replace(/^`|`$/g, '');
+  },
+
+  // Entity ids and labels for pickers, sorted by label
+  listEntities(source) {
+    return Object.values(this.parse(source).entities)
+      .sort((a, b) => a.label.localeCompare(b.label));
+  },
+
+  // True when any option narrows the diagram
+  isActive(options = {}) {
+    return Boolean(options.focus || options.include || options.exclude || options.hideIsolated);
+  },
+
+  /**
+   * Apply filter options to Mermaid source
+   * @param {string} source - Mermaid source
+   * @param {Object} options - { focus, depth, include, exclude, hideIsolated }
+   * @returns {Object} { content, entityCount, totalCount, focusMissing }
+   */
+  apply(source, options = {}) {
+    const parsed = this.parse(source);
+    const allIds = Object.keys(parsed.entities);
+    const result = { content: source, entityCount: allIds.length, totalCount: allIds.length, focusMissing: false };
+
+    if (parsed.kind === 'unknown' || !this.isActive(options)) return result;
+
+    const include = this.compilePatterns(options.include);
+    const exclude = this.compilePatterns(options.exclude);
+    const matches = (patterns, id) => patterns.some(pattern =>
+      pattern.test(id) || pattern.test(parsed.entities[id].label)
+    );
+
+    let kept = new Set(allIds.filter(id =>
+      (include.length === 0 || matches(include, id)) && !matches(exclude, id)
+    ));
+
+    const focusId = options.focus ? this.findEntityId(parsed, options.focus) : null;
+    if (options.focus && (!focusId || !kept.has(focusId))) {
+      result.focusMissing = true;
+    } else if (focusId) {
+      kept = this.neighbourhood(focusId, parsed.relationships, kept, Number(options.depth) || 1);
+    }
+
+    const isKeptRelationship = ({ source, target }) => kept.has(source) && kept.has(target);
+
+    if (options.hideIsolated) {
+      const connected = new Set();
+      parsed.relationships.filter(isKeptRelationship).forEach(({ source, target }) => {
+        if (source !== target) {
+          connected.add(source);
+          connected.add(target);
+        }
+      });
+      kept = new Set(Array.from(kept).filter(id => connected.has(id) || id === focusId));
+    }
+
+    const lines = [];
+    parsed.segments.forEach(segment => {
+      if (segment.type === 'entity' && !kept.has(segment.id)) return;
+      if (segment.type === 'relationship' && !isKeptRelationship(segment)) return;
+      lines.push(...segment.lines);
+    });
+
+    result.content = lines.join('\n');
+    result.entityCount = kept.size;
+    return result;
+  },
+
+  // Entities reachable from the focus within `depth` hops, ignoring direction
+  neighbourhood(focusId, relationships, allowed, depth) {
+    const reached = new Set([focusId]);
+    let frontier = [focusId];
+
+    for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+      const next = [];
+      relationships.forEach(({ source, target }) => {
+        [[source, target], [target, source]].forEach(([from, to]) => {
+          if (frontier.includes(from) && allowed.has(to) && !reached.has(to)) {
+            reached.add(to);
+            next.push(to);
+          }
+        });
+      });
+      frontier = next;
+    }
+
+    return reached;
+  },
+
+  // Match by id or label, ignoring case and punctuation differences
+  findEntityId(parsed, name) {
+    const normalize = (value) => String(value || '').replace(/[^a-zA-Z0-9]/g, '_').toLowerCase();
+    const target = normalize(name);
+
+    return Object.values(parsed.entities)
+      .find(entity => normalize(entity.id) === target || normalize(entity.label) === target)?.id || null;
+  },
+
+  // Comma-separated patterns into case-insensitive anchored regexes
+  compilePatterns(value) {
+    return String(value || '')
+      .split(',')
+      .map(pattern => pattern.trim())
+      .filter(Boolean)
+      .map(pattern => {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+      });
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.DiagramFilter = DiagramFilter;
+}
+
+// Make available globally
+window.DiagramFilter = DiagramFilter;
@@ -0,0 +1,205 @@
+/**
+ * Diagram Navigator Service
+ *
+ * Finding and reaching entities in a rendered diagram: search over entity and
+ * attribute names, centering a node with svg-pan-zoom and an overview
+ * minimap. Positions are kept in the diagram's own coordinates (the pan-zoom
+ * viewport group) so they do not depend on a pan or zoom still being applied.
+ */
+
+const DiagramNavigator = {
+  nodeSelector: 'g[id^="entity-"], g.node, g.classGroup',
+  // Share of the visible area a located node should fill at most
+  focusRatio: 1 / 3,
+  minimapSize: { width: 180, height: 140 },
+
+  /**
+   * Nodes whose name or attributes contain the query; name matches come first
+   * @param {SVGSVGElement} svg - Rendered diagram
+   * @param {string} query - Search text
+   * @param {Function} nameOf - Node label resolver
+   * @returns {Array<Object>} [{ node, name, attribute }]
+   */
+  findMatches(svg, query, nameOf) {
+    const needle = String(query || '').trim().toLowerCase();
+    if (!svg || !needle) return [];
+
+    const byName = [];
+    const byAttribute = [];
+
+    svg.querySelectorAll(this.nodeSelector).forEach(node => {
+      const name = nameOf(node);
+      if (name.toLowerCase().includes(needle)) {
+        byName.push({ node, name, attribute: null });
+        return;
+      }
+
+      const attribute = this.nodeTexts(node)
+        .find(text => text !== name && text.toLowerCase().includes(needle));
+      if (attribute) byAttribute.push({ node, name, attribute });
+    });
+
+    return [...byName, ...byAttribute];
+  },
+
+  // Distinct text shown in a node: label, attribute names and types, members
+  nodeTexts(node) {
+    const texts = Array.from(node.querySelectorAll('text, .nodeLabel, foreignObject span'))
+      .map(element => element.textContent.trim())
+      .filter(Boolean);
+    return Array.from(new Set(texts));
+  },
+
+  // Node box in the coordinates of the pan-zoom viewport group
+  contentBox(node, viewport) {
+    const box = node.getBBox();
+    const matrix = viewport.getCTM().inverse().multiply(node.getCTM());
+    const topLeft = new DOMPoint(box.x, box.y).matrixTransform(matrix);
+    const bottomRight = new DOMPoint(box.x + box.width, box.y + box.height).matrixTransform(matrix);
+
+    return { x: topLeft.x, y: topLeft.y, width: bottomRight.x - topLeft.x, height: bottomRight.y - topLeft.y };
+  },
+
+  getViewport(svg) {
+    return svg.querySelector('.svg-pan-zoom_viewport');
+  },
+
+  /**
+   * Zoom in until the node is readable and pan it to the middle of the view
+   * @param {Object} panZoom - svg-pan-zoom instance
+   * @param {SVGSVGElement} svg - Rendered diagram
+   * @param {SVGGElement} node - Node to locate
+   */
+  centerOn(panZoom, svg, node) {
+    const viewport = this.getViewport(svg);
+    if (!panZoom || !viewport) return;
+
+    const box = this.contentBox(node, viewport);
+    const sizes = panZoom.getSizes();
+    const fit = Math.min(
+      (sizes.width * this.focusRatio) / (box.width * sizes.realZoom),
+      (sizes.height * this.focusRatio) / (box.height * sizes.realZoom)
+    );
+    if (fit > 1) panZoom.zoom(panZoom.getZoom() * fit);
+
+    this.centerOnPoint(panZoom, box.x + box.width / 2, box.y + box.height / 2);
+  },
+
+  // Pan so a point in diagram coordinates sits in the middle of the view
+  centerOnPoint(panZoom, x, y) {
+    const sizes = panZoom.getSizes();
+    panZoom.pan({ x: sizes.width / 2 - x * sizes.realZoom, y: sizes.height / 2 - y * sizes.realZoom });
+  },
+
+  /**
+   * Outline search matches; the active one is drawn heavier
+   * @param {Array<SVGGElement>} nodes - Matching nodes
+   * @param {SVGGElement|null} activeNode - Currently located match
+   */
+  highlight(nodes, activeNode) {
+    const namespace = 'http://www.w3.org/2000/svg';
+
+    nodes.forEach(node => {
+      node.querySelectorAll('.dbw-search-highlight').forEach(element => element.remove());
+
+      const bbox = node.getBBox();
+      const active = node === activeNode;
+      const rect = document.createElementNS(namespace, 'rect');
+      Object.entries({
+        class: 'dbw-search-highlight',
+        x: bbox.x - 4,
+        y: bbox.y - 4,
+        width: bbox.width + 8,
+        height: bbox.height + 8,
+        rx: 4,
+        fill: 'none',
+        stroke: '#f59e0b',
+        'stroke-width': active ? 4 : 2,
+        'stroke-dasharray': active ? 'none' : '4 3',
+        'pointer-events': 'none'
+      }).forEach(([key, value]) => rect.setAttribute(key, value));
+
+      node.appendChild(rect);
+    });
+  },
+
+  clearHighlights(svg) {
+    if (!svg) return;
+    svg.querySelectorAll('.dbw-search-highlight').forEach(element => element.remove());
+  },
+
+  /**
+   * Overview image of the whole diagram for the minimap
+   * @param {SVGSVGElement} svg - Rendered diagram with a pan-zoom viewport
+   * @returns {Object|null} { src, width, height, bounds }
+   */
+  buildMinimap(svg) {
+    const viewport = svg && this.getViewport(svg);
+    if (!viewport) return null;
+
+    const bounds = viewport.getBBox();
+    if (bounds.width === 0 || bounds.height === 0) return null;
+
+    const scale = Math.min(this.minimapSize.width / bounds.width, this.minimapSize.height / bounds.height);
+    const width = Math.round(bounds.width * scale);
+    const height = Math.round(bounds.height * scale);
+
+    const clone = svg.cloneNode(true);
+    clone.querySelectorAll('#svg-pan-zoom-controls, .dbw-search-highlight').forEach(element => element.remove());
+    clone.querySelectorAll('.svg-pan-zoom_viewport').forEach(group => {
+      group.removeAttribute('transform');
+      group.removeAttribute('style');
+    });
+    clone.removeAttribute('style');
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const markup = new XMLSerializer().serializeToString(clone);
+    return {
+      src: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`,
+      width,
+      height,
+      bounds: { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height }
+    };
+  },
+
+  /**
+   * Visible part of the diagram as percentages of the minimap
+   * @param {Object} panZoom - svg-pan-zoom instance
+   * @param {Object} bounds - Diagram bounds from buildMinimap
+   * @returns {Object} { left, top, width, height }
+   */
+  visibleArea(panZoom, bounds) {
+    const sizes = panZoom.getSizes();
+    const pan = panZoom.getPan();
+    const zoom = sizes.realZoom;
+
+    const left = ((-pan.x / zoom) - bounds.x) / bounds.width;
+    const top = ((-pan.y / zoom) - bounds.y) / bounds.height;
+    const right = left + sizes.width / zoom / bounds.width;
+    const bottom = top + sizes.height / zoom / bounds.height;
+    const clamp = (value) => Math.min(Math.max(value, 0), 1);
+
+    return {
+      left: clamp(left) * 100,
+      top: clamp(top) * 100,
+      width: (clamp(right) - clamp(left)) * 100,
+      height: (clamp(bottom) - clamp(top)) * 100
+    };
+  },
+
+  // Center the view on a point of the minimap given as fractions of its size
+  panToMinimapPoint(panZoom, bounds, fractionX, fractionY) {
+    this.centerOnPoint(panZoom, bounds.x + fractionX * bounds.width, bounds.y + fractionY * bounds.height);
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.DiagramNavigator = DiagramNavigator;
+}
+
+// Make available globally
+window.DiagramNavigator = DiagramNavigator;
@@ -0,0 +1,73 @@
+/**
+ * File Export Service
+ *
+ * Helpers shared by the exporters: browser downloads, XML escaping for
+ * generated SVG markup and rendering SVG markup to PNG.
+ */
+
+const FileExport = {
+  // Trigger a browser download for a blob
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  },
+
+  // Escape text for use in SVG/HTML markup and attribute values
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Draw SVG markup on an offscreen canvas and return it as a PNG blob
+   * @param {string} markup - Serialized SVG
+   * @param {number} width - SVG width in pixels
+   * @param {number} height - SVG height in pixels
+   * @param {number} scale - Pixel ratio of the PNG
+   * @returns {Promise<Blob>}
+   */
+  rasterize(markup, width, height, scale) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        try {
+          canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG export failed'))), 'image/png');
+        } catch (error) {
+          // HTML labels (foreignObject) can taint the canvas in some browsers
+          reject(new Error('This browser blocked PNG export for this image; export SVG instead'));
+        }
+      };
+      image.onerror = () => reject(new Error('Could not load image for PNG export'));
+
+      // A data URL rather than a blob URL keeps foreignObject labels from tainting the canvas
+      image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+    });
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.FileExport = FileExport;
+}
+
+// Make available globally
+window.FileExport = FileExport;
@@ -1,292 +1,405 @@
 /**
- * Simplified Mermaid Service
+ * Mermaid Service
  *
- * Modern implementation using Mermaid v10+ API and svg-pan-zoom library
- * Replaces 374 lines of complex custom implementation with ~50 lines
+ * Single entry point for rendering Mermaid diagrams with svg-pan-zoom:
+ * theme selection, per-diagram-type layout options, cancellation of stale
+ * renders and a disposer for everything a render sets up.
  */
 
 const MermaidService = {
   initialized: false,
+  configKey: null, // Theme and layout the library was last initialized with
+  renders: new WeakMap(), // container -> { id, dispose } of the latest render
+  renderCounter: 0,
+
+  defaultTheme: 'neutral',
+
+  // Themes offered in the UI; `background` fills the diagram area behind the SVG
+  themes: {
+    neutral: { label: 'Neutral', mermaidTheme: 'neutral', background: null },
+    forest: { label: 'Forest', mermaidTheme: 'forest', background: null },
+    dark: { label: 'Dark', mermaidTheme: 'dark', background: '#1f2937' },
+    dbwatcher: {
+      label: 'DBWatcher',
+      mermaidTheme: 'base',
+      background: null,
+      // Brand colours from the layout's Tailwind config
+      variables: {
+        primaryColor: '#96C1E7',
+        primaryBorderColor: '#00285D',
+        primaryTextColor: '#00285D',
+        secondaryColor: '#FFC758',
+        tertiaryColor: '#f8fafc',
+        lineColor: '#6CADDF',
+        textColor: '#00285D',
+        mainBkg: '#eef5fb',
+        nodeBorder: '#00285D',
+        clusterBkg: '#f8fafc',
+        attributeBackgroundColorOdd: '#ffffff',
+        attributeBackgroundColorEven: '#eef5fb',
+        fontFamily: 'ui-sans-serif, system-ui, -apple-system, sans-serif'
+      }
+    }
+  },
 
-  // Initialize Mermaid with optimal settings
-  async initialize() {
-    if (this.initialized) return;
+  // Mermaid layout settings shared by every diagram
+  baseLayout: {
+    er: {
+      useMaxWidth: true,
+      layoutDirection: 'LR',
+      entityPadding: 15,
+      fontSize: 14
+    },
+    flowchart: {
+      useMaxWidth: true,
+      htmlLabels: true,
+      curve: 'basis',
+      padding: 20,
+      nodeSpacing: 50,
+      rankSpacing: 50
+    },
+    class: {
+      useMaxWidth: true
+    }
+  },
 
-    // Ensure Mermaid is loaded
+  // Overrides per DiagramTypeRegistry type
+  typeLayouts: {
+    database_tables: { er: { layoutDirection: 'LR' } },
+    database_tables_inferred: { er: { layoutDirection: 'LR' } },
+    model_associations: { class: { nodeSpacing: 60, rankSpacing: 60 } },
+    model_associations_flowchart: { flowchart: { nodeSpacing: 40, rankSpacing: 70 } }
+  },
+
+  // Pan/zoom defaults; callers may override any of them
+  panZoomDefaults: {
+    zoomEnabled: true,
+    panEnabled: true,
+    controlIconsEnabled: false,
+    fit: true,
+    center: true,
+    minZoom: 0.1,
+    maxZoom: 5,
+    zoomScaleSensitivity: 0.1
+  },
+
+  // Load the library and apply theme/layout when they changed since the last render
+  async initialize(options = {}) {
     if (!window.mermaid) {
       await this.loadMermaid();
     }
 
-    // Configure with modern settings
-    window.mermaid.initialize({
+    const config = this.buildConfig(options.theme, options.diagramType);
+    const key = JSON.stringify(config);
+    if (this.initialized && this.configKey === key) return;
+
+    window.mermaid.initialize(config);
+    this.configKey = key;
+    this.initialized = true;
+  },
+
+  buildConfig(themeName, diagramType) {
+    const theme = this.getTheme(themeName);
+    const overrides = this.typeLayouts[diagramType] || {};
+    const layout = {};
+
+    Object.keys(this.baseLayout).forEach(section => {
+      layout[section] = { ...this.baseLayout[section], ...(overrides[section] || {}) };
+    });
+
+    return {
       startOnLoad: false,
-      theme: 'neutral',
-      useMaxWidth: true,
-      responsive: true,
+      theme: theme.mermaidTheme,
+      themeVariables: theme.variables || {},
       securityLevel: 'loose',
 
       // Suppress warnings for better UX
       logLevel: 'error',
-
-      // ER diagram settings
-      er: {
-        useMaxWidth: true,
-        layoutDirection: 'LR',
-        entityPadding: 15,
-        fontSize: 14
-      },
-
-      // Flowchart settings with better compatibility
-      flowchart: {
-        useMaxWidth: true,
-        htmlLabels: true,
-        curve: 'basis',
-        padding: 20,
-        nodeSpacing: 50,
-        rankSpacing: 50
-      },
-
-      // Suppress internal warnings
       suppressErrorRendering: false,
-      suppressWarnings: true
-    });
+      suppressWarnings: true,
 
-    this.initialized = true;
-    console.log('Mermaid service initialized');
+      ...layout
+    };
   },
 
-  // Load Mermaid library if not available
+  getTheme(themeName) {
+    return this.themes[themeName] || this.themes[this.defaultTheme];
+  },
+
+  // Retry loading Mermaid from the source its bundle uses (vendored asset or pinned CDN)
   async loadMermaid() {
     if (window.mermaid) return;
 
-    return new Promise((resolve, reject) => {
-      const script = document.createElement('script');
-      script.src = 'https://cdn.jsdelivr.net/npm/mermaid@10/dist/mermaid.min.js';
-      script.onload = resolve;
-      script.onerror = () => reject(new Error('Failed to load Mermaid library'));
-      document.head.appendChild(script);
-    });
+    const loader = window.DBWatcher && window.DBWatcher.ComponentLoader;
+    const bundle = loader && loader.bundles.mermaid_service;
+    const script = bundle && bundle.scripts.find(item => item.dependency === 'mermaid');
+    if (!script) throw new Error('Mermaid library not loaded');
+
+    try {
+      await loader.loadScript(script);
+    } catch (error) {
+      throw new Error('Failed to load Mermaid library');
+    }
   },
 
-  // Render diagram with svg-pan-zoom integration
+  /**
+   * Render a diagram into a container, replacing (and disposing) any previous render
+   *
+   * Mermaid measures text in the live DOM while laying out, so it cannot run in a
+   * Web Worker, and its layout runs to completion in one go: until it finishes
+   * the page does not respond, Cancel included. The steps around the layout
+   * yield to the browser and check for cancellation, so a cancel before layout
+   * skips it and one during layout discards the result instead of mounting it.
+   * onProgress gets the current step ({ stage, blocking }), not a percentage;
+   * `blocking` marks the layout step.
+   *
+   * @param {string} content - Mermaid source
+   * @param {HTMLElement} container - Target element
+   * @param {Object} options - { theme, diagramType, signal, onProgress, keepOnError, panZoom: {...svg-pan-zoom options} }
+   *   keepOnError leaves the current diagram in place when the content fails to render
+   * @returns {Promise<Object>} { success, cancelled, element, panZoom, dispose }
+   */
   async render(content, container, options = {}) {
     if (!content || !container) {
       throw new Error('Content and container are required');
     }
 
-    await this.initialize();
+    // A newer render into the same container makes this one stale; the previous
+    // diagram stays interactive until a replacement is actually mounted
+    const renderId = ++this.renderCounter;
+    const previous = this.renders.get(container);
+    this.renders.set(container, { id: renderId, dispose: previous ? previous.dispose : null });
+
+    const isStale = () => (options.signal && options.signal.aborted) ||
+      this.renders.get(container)?.id !== renderId;
+    const cancelled = { success: false, cancelled: true, element: null, panZoom: null, dispose: () => {} };
+    const report = async (stage, blocking = false) => {
+      if (options.onProgress) options.onProgress({ stage, blocking });
+      await this.nextFrame();
+      return !isStale();
+    };
 
-    try {
-      // Clear container
-      container.innerHTML = '';
+    if (!await report('Loading Mermaid')) return cancelled;
+    await this.initialize(options);
 
-      // Create diagram element - ensure full container size
-      const diagramDiv = document.createElement('div');
-      diagramDiv.className = 'mermaid-diagram';
+    if (!await report(`Laying out ${this.countLines(content)} lines of diagram source`, true)) return cancelled;
 
-      // Set explicit styles for better browser rendering
-      const styles = {
-        width: '100%',
-        height: '100%',
-        minHeight: '400px',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        position: 'relative',
-        overflow: 'hidden'
-      };
+    let renderResult;
+    try {
+      try {
+        renderResult = await window.mermaid.render(`diagram-${renderId}`, content);
+      } catch (renderError) {
+        if (isStale()) return cancelled;
 
-      Object.assign(diagramDiv.style, styles);
+        // Try to clean up content and retry once
+        renderResult = await window.mermaid.render(`diagram-${renderId}-retry`, this.cleanDiagramContent(content));
+      }
+    } catch (error) {
+      if (isStale()) return cancelled;
 
-      // Get container dimensions before appending
-      const containerWidth = container.clientWidth || 800;
-      const containerHeight = container.clientHeight || 600;
+      console.error('Mermaid rendering failed:', error);
+      if (!options.keepOnError) this.showError(container, error.message);
+      throw error;
+    }
 
-      console.log('Container dimensions in render:', containerWidth, containerHeight);
+    if (!await report('Drawing diagram')) return cancelled;
 
-      // Set container to fill its parent
-      container.style.width = '100%';
-      container.style.height = '100%';
-      container.style.minHeight = '500px';
-      container.style.position = 'relative';
-      container.style.overflow = 'hidden';
+    // Release the diagram being replaced
+    const replaced = this.renders.get(container);
+    if (replaced && replaced.dispose) replaced.dispose();
 
-      container.appendChild(diagramDiv);
+    const diagramDiv = this.mountDiagram(container, renderResult.svg, this.getTheme(options.theme));
+    const svgElement = diagramDiv.querySelector('svg');
 
-      // Render with modern API and error handling
-      let renderResult;
-      try {
-        renderResult = await window.mermaid.render('diagram-' + Date.now(), content);
-      } catch (renderError) {
-        // Try to clean up content and retry once
-        const cleanContent = this.cleanDiagramContent(content);
-        renderResult = await window.mermaid.render('diagram-' + Date.now() + '-retry', cleanContent);
-      }
+    // Enable pan/zoom if svg-pan-zoom is available
+    let panZoom = null;
+    if (svgElement && window.svgPanZoom) {
+      await report('Enabling pan and zoom');
+      panZoom = await this.enableInteractions(svgElement, options.panZoom || {});
+    }
 
-      const { svg } = renderResult;
-      diagramDiv.innerHTML = svg;
-
-      // Post-process the SVG to ensure it has proper dimensions
-      const svgElement = diagramDiv.querySelector('svg');
-      if (svgElement) {
-        // Set CSS styles for SVG
-        Object.assign(svgElement.style, {
-          width: '100%',
-          height: '100%',
-          maxWidth: '100%',
-          maxHeight: '100%',
-          display: 'block'
-        });
-
-        // Make sure viewBox is set if not already
-        if (!svgElement.getAttribute('viewBox')) {
-          const width = svgElement.getAttribute('width') || diagramDiv.clientWidth;
-          const height = svgElement.getAttribute('height') || diagramDiv.clientHeight;
-          svgElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const removeShortcuts = panZoom ? this.addKeyboardShortcuts(panZoom, diagramDiv) : () => {};
+    const dispose = () => {
+      removeShortcuts();
+      if (panZoom) {
+        try {
+          panZoom.destroy();
+        } catch (error) {
+          console.warn('Error destroying pan zoom instance:', error);
         }
+        panZoom = null;
       }
+    };
 
-      // Enable pan/zoom if svg-pan-zoom is available
-      let panZoom = null;
+    // Switched away while pan/zoom was starting up
+    if (isStale()) {
+      dispose();
+      return cancelled;
+    }
 
-      if (svgElement && window.svgPanZoom) {
-        // enableInteractions now returns a Promise or null
-        panZoom = await Promise.resolve(this.enableInteractions(svgElement, options));
+    this.renders.set(container, { id: renderId, dispose });
+    return { success: true, cancelled: false, element: svgElement, panZoom, dispose };
+  },
+
+  // Let the browser paint (progress, spinner) and handle input such as a cancel click
+  nextFrame() {
+    return new Promise(resolve => {
+      if (window.requestAnimationFrame) {
+        window.requestAnimationFrame(() => setTimeout(resolve, 0));
+      } else {
+        setTimeout(resolve, 0);
       }
+    });
+  },
 
-      return { success: true, element: svgElement, panZoom };
-    } catch (error) {
-      console.error('Mermaid rendering failed:', error);
-      this.showError(container, error.message);
-      throw error;
+  countLines(content) {
+    return String(content).split('\n').length;
+  },
+
+  // Release pan/zoom and keyboard listeners of the container's current render
+  dispose(container) {
+    const current = container && this.renders.get(container);
+    if (!current) return;
+
+    if (current.dispose) current.dispose();
+    this.renders.delete(container);
+  },
+
+  // Replace the container content with the rendered SVG
+  mountDiagram(container, svg, theme) {
+    container.innerHTML = '';
+
+    // Focusable so the pan/zoom keyboard shortcuts only apply to this diagram
+    const diagramDiv = document.createElement('div');
+    diagramDiv.className = 'mermaid-diagram';
+    diagramDiv.tabIndex = 0;
+
+    Object.assign(diagramDiv.style, {
+      width: '100%',
+      height: '100%',
+      minHeight: '400px',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      position: 'relative',
+      overflow: 'hidden',
+      outline: 'none',
+      background: theme.background || ''
+    });
+
+    Object.assign(container.style, {
+      width: '100%',
+      height: '100%',
+      minHeight: '500px',
+      position: 'relative',
+      overflow: 'hidden'
+    });
+
+    container.appendChild(diagramDiv);
+    diagramDiv.innerHTML = svg;
+
+    const svgElement = diagramDiv.querySelector('svg');
+    if (svgElement) {
+      Object.assign(svgElement.style, {
+        width: '100%',
+        height: '100%',
+        maxWidth: '100%',
+        maxHeight: '100%',
+        display: 'block'
+      });
+
+      // Make sure viewBox is set if not already
+      if (!svgElement.getAttribute('viewBox')) {
+        const width = svgElement.getAttribute('width') || diagramDiv.clientWidth;
+        const height = svgElement.getAttribute('height') || diagramDiv.clientHeight;
+        svgElement.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      }
     }
+
+    return diagramDiv;
   },
 
-  // Enable SVG interactions using svg-pan-zoom library
-  enableInteractions(svgElement, options = {}) {
-    // Safety checks and set default dimensions if needed
-    if (!svgElement) {
-      console.warn('SVG element is null, cannot initialize pan-zoom');
-      return null;
+  // Check diagram syntax without rendering; returns { valid, message, line }
+  async validate(content) {
+    if (!this.initialized) await this.initialize();
+
+    try {
+      await window.mermaid.parse(content);
+      return { valid: true, message: null, line: null };
+    } catch (error) {
+      const message = (error && (error.message || error.str)) || String(error);
+      const lineMatch = message.match(/line (\d+)/i);
+      return { valid: false, message, line: lineMatch ? Number(lineMatch[1]) : null };
     }
+  },
 
-    // Always ensure the SVG element has dimensions before initializing pan-zoom
-    // Get container dimensions for reference
+  // Enable SVG interactions using svg-pan-zoom library; resolves to the instance or null
+  enableInteractions(svgElement, options = {}) {
+    // Size the SVG to its container so svg-pan-zoom can fit and center it
     const containerWidth = svgElement.parentElement?.clientWidth || 800;
     const containerHeight = svgElement.parentElement?.clientHeight || 600;
 
-    console.log('Container dimensions:', containerWidth, containerHeight);
-
-    // Force set dimensions regardless of existing values to ensure they're always set correctly
     svgElement.setAttribute('width', containerWidth.toString());
     svgElement.setAttribute('height', containerHeight.toString());
+    svgElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
 
-    // Also set CSS dimensions for better browser rendering
-    svgElement.style.width = '100%';
-    svgElement.style.height = '100%';
-    svgElement.style.maxWidth = '100%';
-    svgElement.style.maxHeight = '100%';
-
-    // Set viewBox attribute if it doesn't exist or is invalid
     const viewBox = svgElement.getAttribute('viewBox');
     if (!viewBox || viewBox.split(' ').length !== 4) {
       svgElement.setAttribute('viewBox', `0 0 ${containerWidth} ${containerHeight}`);
     }
 
-    // Set preserveAspectRatio for proper scaling
-    svgElement.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-
-    // Double-check dimensions are now set and valid
-    const width = parseFloat(svgElement.getAttribute('width'));
-    const height = parseFloat(svgElement.getAttribute('height'));
-
-    if (isNaN(width) || isNaN(height) || width <= 0 || height <= 0) {
-      console.warn('SVG element has invalid dimensions after setting defaults:', width, height);
-      // Set explicit fallback dimensions as a last resort
-      svgElement.setAttribute('width', '800');
-      svgElement.setAttribute('height', '600');
-      svgElement.setAttribute('viewBox', '0 0 800 600');
-    }
-
-    const config = {
-      zoomEnabled: true,
-      panEnabled: true,
-      controlIconsEnabled: false,
-      fit: true,
-      center: true,
-      minZoom: 0.1,
-      maxZoom: 5,
-      zoomScaleSensitivity: 0.1,
-      ...options
-    };
-
-    try {
-      // Ensure SVG is properly rendered in DOM before initializing pan-zoom
-      // This forces a reflow which can help with dimension calculations
-      void svgElement.getBoundingClientRect();
-
-      // Short delay to ensure SVG is fully rendered before initializing pan-zoom
-      return new Promise(resolve => {
-        setTimeout(() => {
-          try {
-            // Initialize pan-zoom with the configured options
-            const panZoom = window.svgPanZoom(svgElement, config);
-
-            // Add keyboard shortcuts for better UX
-            this.addKeyboardShortcuts(panZoom);
-
-            resolve(panZoom);
-          } catch (initError) {
-            console.warn('Failed to initialize svg-pan-zoom:', initError);
-            resolve(null);
-          }
-        }, 100); // Small delay for SVG rendering
-      });
-    } catch (error) {
-      console.warn('Failed to enable SVG interactions:', error);
-      return null;
-    }
+    // Short delay so the SVG is laid out before svg-pan-zoom measures it
+    return new Promise(resolve => {
+      setTimeout(() => {
+        try {
+          resolve(window.svgPanZoom(svgElement, { ...this.panZoomDefaults, ...options }));
+        } catch (initError) {
+          console.warn('Failed to initialize svg-pan-zoom:', initError);
+          resolve(null);
+        }
+      }, 100);
+    });
   },
 
   // Clean diagram content to fix common issues
   cleanDiagramContent(content) {
-    return content
-      // Remove any problematic characters
-      .replace(/[^\x00-\x7F]/g, '')
-      // Normalize whitespace
-      .replace(/\s+/g, ' ')
-      // Remove empty lines
+    return String(content || '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&')
       .split('\n')
+      .map(line => line.replace(/\s+$/, ''))
       .filter(line => line.trim())
       .join('\n');
   },
 
-  // Add keyboard shortcuts for pan/zoom
-  addKeyboardShortcuts(panZoom) {
-    const handleKeydown = (e) => {
-      if (!e.target.closest('.mermaid-diagram')) return;
-
-      switch (e.key) {
-        case '+':
-        case '=':
-          e.preventDefault();
-          panZoom.zoomIn();
-          break;
-        case '-':
-          e.preventDefault();
-          panZoom.zoomOut();
-          break;
-        case '0':
-          e.preventDefault();
+  // Zoom and pan keys while the diagram has focus; returns the cleanup function
+  addKeyboardShortcuts(panZoom, diagramElement) {
+    const handleKeydown = (event) => {
+      if (!diagramElement.contains(event.target)) return;
+
+      const actions = {
+        '+': () => panZoom.zoomIn(),
+        '=': () => panZoom.zoomIn(),
+        '-': () => panZoom.zoomOut(),
+        '0': () => {
           panZoom.resetZoom();
           panZoom.center();
-          break;
+        },
+        ArrowUp: () => panZoom.panBy({ x: 0, y: 50 }),
+        ArrowDown: () => panZoom.panBy({ x: 0, y: -50 }),
+        ArrowLeft: () => panZoom.panBy({ x: 50, y: 0 }),
+        ArrowRight: () => panZoom.panBy({ x: -50, y: 0 })
+      };
+
+      if (actions[event.key]) {
+        event.preventDefault();
+        actions[event.key]();
       }
     };
 
     document.addEventListener('keydown', handleKeydown);
-
-    // Return cleanup function
     return () => document.removeEventListener('keydown', handleKeydown);
   },
 
@@ -303,7 +416,7 @@ const MermaidService = {
           </div>
           <div class="text-sm text-gray-600">
             Failed to render diagram<br>
-            <span class="text-xs text-gray-500">${message}</span>
+            <span class="text-xs text-gray-500">${FileExport.escape(message || 'An unknown error occurred')}</span>
           </div>
         </div>
       </div>
@@ -311,5 +424,10 @@ const MermaidService = {
   }
 };
 
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.MermaidService = MermaidService;
+}
+
 // Make available globally
 window.MermaidService = MermaidService;
@@ -0,0 +1,213 @@
+/**
+ * Summary Charts
+ *
+ * Builds the summary tab charts as self-contained SVG markup (no external
+ * libraries) and exports rendered charts as SVG or PNG images.
+ */
+
+const SummaryCharts = {
+  operations: ['INSERT', 'UPDATE', 'DELETE'],
+  colors: {
+    INSERT: '#10b981', // green
+    UPDATE: '#f59e0b', // amber
+    DELETE: '#ef4444'  // red
+  },
+  fontFamily: 'ui-sans-serif, system-ui, -apple-system, sans-serif',
+  maxTables: 15,
+
+  // Donut of the operation mix with a legend
+  donut(breakdown = {}) {
+    const width = 320;
+    const height = 180;
+    const radius = 60;
+    const thickness = 24;
+    const center = { x: 90, y: 90 };
+    const circumference = 2 * Math.PI * radius;
+    const total = this.operations.reduce((sum, op) => sum + (breakdown[op] || 0), 0);
+
+    if (total === 0) return this.empty(width, height, 'No operations recorded');
+
+    let offset = 0;
+    const slices = this.operations.map(op => {
+      const value = breakdown[op] || 0;
+      const length = (value / total) * circumference;
+      const slice = value === 0 ? '' : `
+        <circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="none"
+                stroke="${this.colors[op]}" stroke-width="${thickness}"
+                stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                transform="rotate(-90 ${center.x} ${center.y})">
+          <title>${op}: ${value} (${this.percentage(value, total)})</title>
+        </circle>`;
+      offset += length;
+      return slice;
+    });
+
+    const legend = this.operations.map((op, index) => {
+      const y = 60 + index * 24;
+      const value = breakdown[op] || 0;
+      return `
+        <rect x="190" y="${y - 9}" width="10" height="10" rx="2" fill="${this.colors[op]}"></rect>
+        <text x="206" y="${y}" font-size="11" fill="#374151">${op}</text>
+        <text x="310" y="${y}" font-size="11" fill="#6b7280" text-anchor="end">${value} · ${this.percentage(value, total)}</text>`;
+    });
+
+    return this.svg(width, height, `
+      <circle cx="${center.x}" cy="${center.y}" r="${radius}" fill="none" stroke="#f3f4f6" stroke-width="${thickness}"></circle>
+      ${slices.join('')}
+      <text x="${center.x}" y="${center.y - 2}" font-size="18" font-weight="600" fill="#111827" text-anchor="middle">${total}</text>
+      <text x="${center.x}" y="${center.y + 14}" font-size="10" fill="#6b7280" text-anchor="middle">operations</text>
+      ${legend.join('')}
+    `);
+  },
+
+  // Horizontal INSERT/UPDATE/DELETE stacked bar per table, busiest first
+  stackedBars(activity = []) {
+    const width = 480;
+    const labelWidth = 120;
+    const countWidth = 40;
+    const rowHeight = 22;
+    const barHeight = 14;
+    const top = 8;
+    const tables = activity.slice().sort((a, b) => b.total - a.total).slice(0, this.maxTables);
+
+    if (tables.length === 0) return this.empty(width, 120, 'No table activity');
+
+    const height = top * 2 + tables.length * rowHeight;
+    const plotWidth = width - labelWidth - countWidth;
+    const max = Math.max(...tables.map(table => table.total), 1);
+
+    const rows = tables.map((table, index) => {
+      const y = top + index * rowHeight;
+      let x = labelWidth;
+
+      const segments = this.operations.map(op => {
+        const value = table[op] || 0;
+        const segmentWidth = (value / max) * plotWidth;
+        const segment = value === 0 ? '' : `
+          <rect x="${x}" y="${y + (rowHeight - barHeight) / 2}" width="${segmentWidth}" height="${barHeight}" fill="${this.colors[op]}">
+            <title>${FileExport.escape(table.name)} ${op}: ${value}</title>
+          </rect>`;
+        x += segmentWidth;
+        return segment;
+      });
+
+      return `
+        <text x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" font-size="11" fill="#374151" text-anchor="end">${FileExport.escape(this.truncate(table.name, 18))}</text>
+        ${segments.join('')}
+        <text x="${x + 6}" y="${y + rowHeight / 2 + 4}" font-size="10" fill="#6b7280">${table.total}</text>`;
+    });
+
+    return this.svg(width, height, rows.join(''));
+  },
+
+  // Stacked operations-per-bucket histogram, peak bucket outlined
+  histogram(histogram = {}, peak = null) {
+    const width = 480;
+    const height = 200;
+    const margin = { top: 16, right: 8, bottom: 24, left: 32 };
+    const buckets = histogram.buckets || [];
+
+    if (buckets.length === 0) return this.empty(width, height, 'No timed operations');
+
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const max = Math.max(...buckets.map(bucket => bucket.count), 1);
+    const slot = plotWidth / buckets.length;
+    const barWidth = Math.max(slot - 2, 1);
+    const labelEvery = Math.ceil(buckets.length / 6);
+
+    const bars = buckets.map((bucket, index) => {
+      const x = margin.left + index * slot + (slot - barWidth) / 2;
+      let y = margin.top + plotHeight;
+
+      const segments = this.operations.map(op => {
+        const value = (bucket.operations || {})[op] || 0;
+        const segmentHeight = (value / max) * plotHeight;
+        y -= segmentHeight;
+        return value === 0 ? '' : `<rect x="${x}" y="${y}" width="${barWidth}" height="${segmentHeight}" fill="${this.colors[op]}"></rect>`;
+      });
+
+      const isPeak = peak && bucket.offset === peak.offset && bucket.count > 0;
+      const barTop = margin.top + plotHeight - (bucket.count / max) * plotHeight;
+      const highlight = isPeak ? `
+        <rect x="${x - 1}" y="${barTop - 1}" width="${barWidth + 2}" height="${margin.top + plotHeight - barTop + 1}"
+              fill="none" stroke="#111827" stroke-width="1.5"></rect>
+        <text x="${x + barWidth / 2}" y="${barTop - 4}" font-size="10" font-weight="600" fill="#111827" text-anchor="middle">Peak ${bucket.count}</text>` : '';
+      const label = index % labelEvery === 0 ? `
+        <text x="${x + barWidth / 2}" y="${height - 8}" font-size="9" fill="#6b7280" text-anchor="middle">+${this.formatSeconds(bucket.offset)}</text>` : '';
+
+      return `
+        <g>
+          <title>+${this.formatSeconds(bucket.offset)}: ${bucket.count} operations</title>
+          ${segments.join('')}
+        </g>
+        ${highlight}${label}`;
+    });
+
+    const axis = `
+      <line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#d1d5db"></line>
+      <text x="${margin.left - 6}" y="${margin.top + 4}" font-size="9" fill="#6b7280" text-anchor="end">${max}</text>
+      <text x="${margin.left - 6}" y="${margin.top + plotHeight}" font-size="9" fill="#6b7280" text-anchor="end">0</text>`;
+
+    return this.svg(width, height, axis + bars.join(''));
+  },
+
+  // Wrap chart content in a standalone, responsive SVG document
+  svg(width, height, content) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%"
+                 data-width="${width}" data-height="${height}" font-family="${this.fontFamily}">
+      <rect width="${width}" height="${height}" fill="#ffffff"></rect>
+      ${content}
+    </svg>`;
+  },
+
+  empty(width, height, message) {
+    return this.svg(width, height, `
+      <text x="${width / 2}" y="${height / 2}" font-size="12" fill="#9ca3af" text-anchor="middle">${FileExport.escape(message)}</text>`);
+  },
+
+  // Download a rendered chart as 'svg' or 'png'
+  async exportImage(svgElement, filename, format = 'png') {
+    if (!svgElement) throw new Error('Chart not rendered');
+
+    // Fixed pixel size so the exported image doesn't depend on the page layout
+    const width = Number(svgElement.getAttribute('data-width'));
+    const height = Number(svgElement.getAttribute('data-height'));
+    const clone = svgElement.cloneNode(true);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+
+    const markup = new XMLSerializer().serializeToString(clone);
+
+    if (format === 'svg') {
+      FileExport.download(new Blob([markup], { type: 'image/svg+xml' }), `${filename}.svg`);
+      return;
+    }
+
+    const blob = await FileExport.rasterize(markup, width, height, 2);
+    FileExport.download(blob, `${filename}.png`);
+  },
+
+  percentage(value, total) {
+    return total ? `${((value / total) * 100).toFixed(1)}%` : '0%';
+  },
+
+  formatSeconds(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m${seconds % 60 ? ` ${seconds % 60}s` : ''}`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+  },
+
+  truncate(text, length) {
+    const value = String(text);
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.SummaryCharts = SummaryCharts;
+}
+
+// Make available globally
+window.SummaryCharts = SummaryCharts;
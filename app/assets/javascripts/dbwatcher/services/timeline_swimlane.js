@@ -0,0 +1,241 @@
+/**
+ * Timeline Swimlane Renderer
+ *
+ * Draws timeline entries on a real time axis, one lane per table, as plain SVG.
+ * Supports brush selection so the caller can narrow its time-range filter.
+ */
+
+const TimelineSwimlane = {
+  // Layout settings
+  labelWidth: 140,
+  laneHeight: 28,
+  axisHeight: 24,
+  padding: 12,
+  markerRadius: 4,
+  minBrushWidth: 4,
+
+  // Render entries into container, returns a cleanup function
+  render(container, entries, options = {}) {
+    if (!container) return () => {};
+
+    const {
+      origin = this.getExtent(entries).min,
+      range = null,
+      colorFor = () => '#6b7280',
+      onBrush = null,
+      onSelect = null
+    } = options;
+
+    container.innerHTML = '';
+
+    if (!entries || entries.length === 0) {
+      container.innerHTML = '<div class="p-4 text-xs text-gray-500 text-center">No operations to plot</div>';
+      return () => {};
+    }
+
+    const lanes = this.buildLanes(entries);
+    const domain = this.buildDomain(entries, origin, range);
+    const width = Math.max(container.clientWidth || 800, this.labelWidth + 200);
+    const plotWidth = width - this.labelWidth - this.padding * 2;
+    const height = this.axisHeight + lanes.length * this.laneHeight + this.padding;
+
+    const scale = (offsetMs) => {
+      const ratio = (offsetMs - domain.start) / (domain.end - domain.start);
+      return this.labelWidth + this.padding + ratio * plotWidth;
+    };
+    const invert = (x) => {
+      const ratio = (x - this.labelWidth - this.padding) / plotWidth;
+      return domain.start + Math.min(1, Math.max(0, ratio)) * (domain.end - domain.start);
+    };
+
+    const svgParts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" class="timeline-swimlane select-none">`,
+      this.renderAxis(domain, scale, height),
+      this.renderLanes(lanes, width),
+      this.renderMarkers(entries, lanes, origin, scale, colorFor),
+      `<rect class="swimlane-brush" x="0" y="${this.axisHeight}" width="0" height="${height - this.axisHeight}"
+             fill="#6CADDF" fill-opacity="0.2" stroke="#6CADDF" visibility="hidden"></rect>`,
+      '</svg>'
+    ];
+
+    container.innerHTML = svgParts.join('');
+
+    const svg = container.querySelector('svg');
+    return this.attachInteractions(svg, entries, { invert, onBrush, onSelect });
+  },
+
+  // Compute min/max raw timestamps (seconds)
+  // A loop rather than Math.min(...timestamps): spreading large sessions overflows the call stack
+  getExtent(entries) {
+    if (!entries || entries.length === 0) return { min: 0, max: 0 };
+
+    return entries.reduce((extent, entry) => ({
+      min: Math.min(extent.min, entry.raw_timestamp),
+      max: Math.max(extent.max, entry.raw_timestamp)
+    }), { min: Infinity, max: -Infinity });
+  },
+
+  // One lane per table, ordered by first appearance
+  buildLanes(entries) {
+    const lanes = [];
+    entries.forEach(entry => {
+      if (!lanes.includes(entry.table_name)) {
+        lanes.push(entry.table_name);
+      }
+    });
+    return lanes;
+  },
+
+  // Visible time window in milliseconds relative to origin
+  buildDomain(entries, origin, range) {
+    if (range && range.end > range.start) {
+      return { start: range.start, end: range.end };
+    }
+
+    const extent = this.getExtent(entries);
+    const start = (extent.min - origin) * 1000;
+    const end = (extent.max - origin) * 1000;
+
+    // Pad single-instant bursts so markers don't collapse onto the label column
+    if (end - start < 1) {
+      return { start: start - 1, end: end + 1 };
+    }
+
+    const pad = (end - start) * 0.02;
+    return { start: start - pad, end: end + pad };
+  },
+
+  // Axis with evenly spaced offset ticks
+  renderAxis(domain, scale, height) {
+    const tickCount = 6;
+    const step = (domain.end - domain.start) / (tickCount - 1);
+    const ticks = [];
+
+    for (let i = 0; i < tickCount; i++) {
+      const value = domain.start + step * i;
+      const x = scale(value);
+      ticks.push(`
+        <line x1="${x}" y1="${this.axisHeight - 4}" x2="${x}" y2="${height}" stroke="#e5e7eb" stroke-dasharray="2,3"></line>
+        <text x="${x}" y="${this.axisHeight - 8}" font-size="10" fill="#6b7280" text-anchor="middle">${this.formatOffset(value)}</text>
+      `);
+    }
+
+    return `<g class="swimlane-axis">${ticks.join('')}</g>`;
+  },
+
+  // Lane backgrounds and labels
+  renderLanes(lanes, width) {
+    return lanes.map((lane, index) => {
+      const y = this.axisHeight + index * this.laneHeight;
+      const fill = index % 2 === 0 ? '#f9fafb' : '#ffffff';
+      return `
+        <g class="swimlane-lane">
+          <rect x="0" y="${y}" width="${width}" height="${this.laneHeight}" fill="${fill}"></rect>
+          <text x="8" y="${y + this.laneHeight / 2 + 4}" font-size="11" fill="#374151">${FileExport.escape(this.truncate(lane, 20))}</text>
+        </g>
+      `;
+    }).join('');
+  },
+
+  // Operation markers positioned at their actual offsets
+  renderMarkers(entries, lanes, origin, scale, colorFor) {
+    return entries.map(entry => {
+      const offsetMs = (entry.raw_timestamp - origin) * 1000;
+      const x = scale(offsetMs);
+      const y = this.axisHeight + lanes.indexOf(entry.table_name) * this.laneHeight + this.laneHeight / 2;
+      const label = `${entry.operation} ${entry.table_name}${entry.record_id ? ` #${entry.record_id}` : ''} @ ${this.formatOffset(offsetMs)}`;
+
+      return `
+        <circle class="swimlane-marker cursor-pointer" data-entry-id="${FileExport.escape(entry.id)}"
+                cx="${x}" cy="${y}" r="${this.markerRadius}" fill="${colorFor(entry.operation)}"
+                fill-opacity="0.85" stroke="#ffffff" stroke-width="1">
+          <title>${FileExport.escape(label)}</title>
+        </circle>
+      `;
+    }).join('');
+  },
+
+  // Brush-to-zoom and marker clicks
+  attachInteractions(svg, entries, { invert, onBrush, onSelect }) {
+    if (!svg) return () => {};
+
+    const brush = svg.querySelector('.swimlane-brush');
+    let brushStart = null;
+
+    const pointerX = (event) => event.clientX - svg.getBoundingClientRect().left;
+
+    const handleMouseDown = (event) => {
+      if (!onBrush || event.target.classList.contains('swimlane-marker')) return;
+      if (pointerX(event) < this.labelWidth) return;
+
+      brushStart = pointerX(event);
+      brush.setAttribute('x', brushStart);
+      brush.setAttribute('width', 0);
+      brush.setAttribute('visibility', 'visible');
+    };
+
+    const handleMouseMove = (event) => {
+      if (brushStart === null) return;
+
+      const current = pointerX(event);
+      brush.setAttribute('x', Math.min(brushStart, current));
+      brush.setAttribute('width', Math.abs(current - brushStart));
+    };
+
+    const handleMouseUp = (event) => {
+      if (brushStart === null) return;
+
+      const current = pointerX(event);
+      const left = Math.min(brushStart, current);
+      const right = Math.max(brushStart, current);
+      brushStart = null;
+      brush.setAttribute('visibility', 'hidden');
+
+      if (right - left >= this.minBrushWidth) {
+        onBrush({ start: Math.round(invert(left)), end: Math.round(invert(right)) });
+      }
+    };
+
+    const handleClick = (event) => {
+      const marker = event.target.closest('.swimlane-marker');
+      if (!marker || !onSelect) return;
+
+      const entry = entries.find(item => String(item.id) === marker.getAttribute('data-entry-id'));
+      if (entry) onSelect(entry);
+    };
+
+    svg.addEventListener('mousedown', handleMouseDown);
+    svg.addEventListener('click', handleClick);
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+
+    return () => {
+      svg.removeEventListener('mousedown', handleMouseDown);
+      svg.removeEventListener('click', handleClick);
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+  },
+
+  // Format millisecond offsets for axis labels and tooltips
+  formatOffset(ms) {
+    const sign = ms < 0 ? '-' : '+';
+    const value = Math.abs(ms);
+    if (value < 1000) return `${sign}${Math.round(value)}ms`;
+    if (value < 60000) return `${sign}${(value / 1000).toFixed(2)}s`;
+    return `${sign}${(value / 60000).toFixed(1)}m`;
+  },
+
+  truncate(text, length) {
+    const value = String(text);
+    return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+  }
+};
+
+// Register with DBWatcher if available
+if (window.DBWatcher) {
+  window.DBWatcher.TimelineSwimlane = TimelineSwimlane;
+}
+
+// Make available globally
+window.TimelineSwimlane = TimelineSwimlane;
@@ -5,6 +5,7 @@ module Dbwatcher
     module V1
       class SessionsController < BaseController
         before_action :find_session, except: [:diagram_types]
+        before_action :check_freshness, only: %i[tables_data summary_data diagram_data]
 
         def tables_data
           Rails.logger.info "API::V1::SessionsController#tables_data: Getting tables for session #{@session.id}"
@@ -32,7 +33,7 @@ module Dbwatcher
 
         def timeline_data
           Rails.logger.info "API::V1::SessionsController#timeline_data: Getting timeline for session #{@session.id}"
-          service = Dbwatcher::Services::TimelineDataService.new(@session)
+          service = Dbwatcher::Services::TimelineDataService.new(@session, timeline_params)
           result = service.call
 
           if result[:errors].any?
@@ -57,10 +58,29 @@ module Dbwatcher
           render_error("Session not found", :not_found) unless @session
         end
 
+        # Conditional GET: the ETag covers the session's recorded changes and the
+        # request parameters, so an unchanged response is answered with 304
+        # before it is rebuilt. Sessions still recording are sent as no-cache so
+        # clients revalidate them on every read.
+        def check_freshness
+          return if params[:refresh] == "true"
+
+          expires_now if @session.recording?
+          fresh_when(etag: session_etag, template: false)
+        end
+
+        def session_etag
+          [@session.id, @session.ended_at, Array(@session.changes).size, action_name, request.query_parameters.sort]
+        end
+
         def tables_data_params
           params.permit(:id, :table, :operation, :page, :per_page, session: {}).to_h
         end
 
+        def timeline_params
+          params.permit(:since).to_h.symbolize_keys
+        end
+
         def diagram_params
           params.permit(:type, :format, :include_columns, :show_relationships, session: {}).to_h
         end
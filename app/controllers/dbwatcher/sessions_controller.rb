@@ -2,7 +2,7 @@
 
 module Dbwatcher
   class SessionsController < BaseController
-    before_action :find_session, except: [:index]
+    before_action :find_session, except: %i[index compare]
 
     def index
       @sessions = Storage.sessions.all
@@ -10,10 +10,19 @@ module Dbwatcher
 
     def show
       @active_tab = params[:tab] || "tables"
+      # Sessions the diagrams tab can compare against
+      @sessions = Storage.sessions.all
       # Debug logging
       Rails.logger.info "SessionsController#show: Session ID: #{@session.id.inspect}, Class: #{@session.class}"
     end
 
+    # Side-by-side comparison of two sessions; data is loaded client-side
+    def compare
+      @sessions = Storage.sessions.all
+      @left_id = params[:left]
+      @right_id = params[:right]
+    end
+
     def clear
       clear_storage_with_message(
         -> { Storage.session_storage.clear_all },
@@ -5,6 +5,7 @@ module Dbwatcher
   module ApplicationHelper
     include FormattingHelper
     include SessionHelper
+    include VendorAssetHelper
 
     # Common view helpers for templates
 
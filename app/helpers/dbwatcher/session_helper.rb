@@ -7,9 +7,12 @@ module Dbwatcher
       safe_value(session, :change_count, 0).to_i
     end
 
-    # Determine if session is active
+    # Determine if session is still recording
     def session_active?(session)
-      safe_value(session, :ended_at).blank?
+      Storage::Session.recording?(
+        safe_value(session, :ended_at, nil),
+        safe_value(session, :updated_at, nil) || safe_value(session, :started_at, nil)
+      )
     end
 
     # Format session name for display
@@ -0,0 +1,55 @@
+# frozen_string_literal: true
+
+module Dbwatcher
+  module VendorAssetHelper
+    # Script tag for a pinned browser dependency
+    #
+    # Serves the vendored copy through the asset pipeline and falls back to the
+    # CDN only when the file has not been vendored. Load failures are recorded in
+    # window.DBWatcherAssetErrors for the in-page dependency diagnostic.
+    #
+    # @param name [String, Symbol] dependency name from Dbwatcher::VendorAssets
+    # @param defer [Boolean] load with the defer attribute
+    # @return [String] script tag HTML
+    def dbwatcher_vendor_javascript_tag(name, defer: false)
+      dependency = Dbwatcher::VendorAssets.fetch(name)
+      options = {
+        defer: defer,
+        data: { dbwatcher_dependency: dependency.name },
+        onerror: "(window.DBWatcherAssetErrors = window.DBWatcherAssetErrors || []).push('#{dependency.name}')"
+      }
+
+      if Dbwatcher::VendorAssets.vendored?(dependency)
+        javascript_include_tag(dependency.asset_path, **options)
+      else
+        javascript_include_tag(dependency.url, crossorigin: "anonymous", **options)
+      end
+    end
+
+    # Script URLs of the on-demand bundles for DBWatcher.ComponentLoader
+    #
+    # Vendor scripts resolve the same way as dbwatcher_vendor_javascript_tag and
+    # carry their dependency name so failures reach the dependency diagnostic.
+    #
+    # @return [Hash] bundle name => { scripts: [{ src, dependency }], dependencies: [String] }
+    def dbwatcher_component_bundles
+      Dbwatcher::ComponentBundles::BUNDLES.to_h do |bundle|
+        vendor = bundle.vendor.map do |name|
+          dependency = Dbwatcher::VendorAssets.fetch(name)
+          { src: dbwatcher_vendor_url(dependency), dependency: dependency.name }
+        end
+        scripts = bundle.scripts.map { |path| { src: asset_path(path, type: :javascript), dependency: nil } }
+
+        [bundle.name, { scripts: vendor + scripts, dependencies: bundle.dependencies }]
+      end
+    end
+
+    private
+
+    def dbwatcher_vendor_url(dependency)
+      return dependency.url unless Dbwatcher::VendorAssets.vendored?(dependency)
+
+      asset_path(dependency.asset_path, type: :javascript)
+    end
+  end
+end
@@ -18,6 +18,7 @@ Dbwatcher::Engine.routes.draw do
 
   resources :sessions do
     collection do
+      get :compare
       delete :clear
     end
   end
@@ -0,0 +1,23 @@
+// Tailwind CSS build for the engine's UI (rake vendor:tailwind)
+//
+// Classes are collected from the views, helpers and scripts, so only classes
+// written out in full in those files end up in the stylesheet.
+module.exports = {
+  content: [
+    './app/views/**/*.erb',
+    './app/helpers/**/*.rb',
+    './app/assets/javascripts/dbwatcher/**/*.js',
+    '!./app/assets/javascripts/dbwatcher/vendor/**'
+  ],
+  theme: {
+    extend: {
+      colors: {
+        'navy-dark': '#00285D',
+        'blue-light': '#96C1E7',
+        'blue-medium': '#6CADDF',
+        'gold-dark': '#D4A11E',
+        'gold-light': '#FFC758'
+      }
+    }
+  }
+};
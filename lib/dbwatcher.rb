@@ -10,6 +10,8 @@ require "logger"
 require_relative "dbwatcher/version"
 require_relative "dbwatcher/configuration"
 require_relative "dbwatcher/logging"
+require_relative "dbwatcher/vendor_assets"
+require_relative "dbwatcher/component_bundles"
 
 # Storage layer
 require_relative "dbwatcher/storage"
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+module Dbwatcher
+  # Browser code loaded on demand instead of from the layout
+  #
+  # DBWatcher.ComponentLoader fetches a bundle when an element using it appears
+  # on the page, loading the bundles it depends on first. Bundles named after an
+  # Alpine component register that component, so the page mounts it only after
+  # its libraries are available. Scripts are engine asset paths; vendor entries
+  # are Dbwatcher::VendorAssets names.
+  module ComponentBundles
+    Bundle = Struct.new(:name, :scripts, :vendor, :dependencies, keyword_init: true)
+
+    BUNDLES = [
+      Bundle.new(
+        name: "mermaid_service", vendor: %w[mermaid svg-pan-zoom], dependencies: [],
+        scripts: %w[dbwatcher/services/mermaid]
+      ),
+      Bundle.new(
+        name: "diagram_tools", vendor: [], dependencies: [],
+        scripts: %w[
+          dbwatcher/services/diagram_filter dbwatcher/services/diagram_export
+          dbwatcher/services/diagram_diff dbwatcher/services/diagram_navigator
+        ]
+      ),
+      Bundle.new(
+        name: "diagrams", vendor: [], dependencies: %w[mermaid_service diagram_tools],
+        scripts: %w[dbwatcher/components/diagrams]
+      ),
+      Bundle.new(
+        name: "summary", vendor: [], dependencies: [],
+        scripts: %w[dbwatcher/services/summary_charts dbwatcher/components/summary]
+      ),
+      Bundle.new(
+        name: "timeline", vendor: [], dependencies: [],
+        scripts: %w[dbwatcher/services/timeline_swimlane dbwatcher/components/timeline]
+      ),
+      Bundle.new(
+        name: "sessionCompare", vendor: [], dependencies: %w[summary],
+        scripts: %w[dbwatcher/components/session_compare]
+      )
+    ].freeze
+
+    class << self
+      # Find a bundle by name
+      #
+      # @param name [String, Symbol] bundle name
+      # @return [Bundle]
+      # @raise [ArgumentError] if the bundle is unknown
+      def fetch(name)
+        BUNDLES.find { |bundle| bundle.name == name.to_s } ||
+          raise(ArgumentError, "Unknown component bundle: #{name}")
+      end
+    end
+  end
+end
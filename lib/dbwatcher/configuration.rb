@@ -22,6 +22,9 @@ module Dbwatcher
                   :diagram_attribute_types, :diagram_relationship_labels,
                   :diagram_show_attributes, :diagram_show_cardinality
 
+    # UI extensions - host application scripts that register DBWatcher.plugins
+    attr_accessor :plugin_javascripts
+
     # Initialize with default values
     def initialize
       # Core settings
@@ -46,6 +49,9 @@ module Dbwatcher
       @diagram_relationship_labels = true
       @diagram_show_attributes = true
       @diagram_show_cardinality = true
+
+      # UI extensions
+      @plugin_javascripts = []
     end
 
     # Fixed defaults for options that are still used in codebase but not configurable
@@ -44,7 +44,7 @@ module Dbwatcher
                                          table_name: self.class.table_name,
                                          record_id: id,
                                          operation: operation,
-                                         timestamp: Time.now.strftime("%Y-%m-%dT%H:%M:%S%z"),
+                                         timestamp: Time.now.strftime("%Y-%m-%dT%H:%M:%S.%L%z"),
                                          changes: changes,
                                          record_snapshot: attributes
                                        })
@@ -41,18 +41,21 @@ module Dbwatcher
 
         # Process changes with block
         #
-        # @yield [table_name, change, tables] for each change
+        # The sequence is the change's position in the session, the same number
+        # the timeline uses, so changes can be put back in recorded order.
+        #
+        # @yield [table_name, change, tables, sequence] for each change
         # @return [Hash] tables hash
         def process_changes
           return {} unless session&.changes.respond_to?(:each)
 
           tables = {}
 
-          session.changes.each do |change|
+          session.changes.each_with_index do |change, sequence|
             table_name = extract_table_name(change)
             next unless table_name
 
-            yield(table_name, change, tables) if block_given?
+            yield(table_name, change, tables, sequence) if block_given?
           end
 
           tables
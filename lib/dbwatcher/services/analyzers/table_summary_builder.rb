@@ -158,7 +158,9 @@ module Dbwatcher
         def build_tables_data
           tables = {}
 
-          processor.process_changes do |table_name, change, _tables|
+          processor.process_changes do |table_name, change, _tables, sequence|
+            change = change.merge(sequence: sequence) unless sequence.nil?
+
             initialize_table_data(tables, table_name)
             update_table_data(tables[table_name], change)
             update_sample_record(tables[table_name], change)
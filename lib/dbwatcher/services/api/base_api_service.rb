@@ -20,10 +20,13 @@ module Dbwatcher
 
         # Build cache key for session-based data
         #
+        # The change count and end time are part of the key, so a session that
+        # is still recording gets fresh data as changes arrive.
+        #
         # @param suffix [String] additional cache key suffix
         # @return [String] cache key
         def cache_key(suffix = nil)
-          key = "api_#{service_name}_#{session.id}"
+          key = "api_#{service_name}_#{session.id}_#{Array(session.changes).size}_#{session.ended_at}"
           key += "_#{suffix}" if suffix
           key
         end
@@ -42,11 +45,9 @@ module Dbwatcher
         # @yield block to execute if cache miss
         # @return [Object] cached or fresh result
         def with_cache(cache_suffix = nil, expires_in: 1.hour)
-          key = cache_key(cache_suffix)
-
           # Check if caching is enabled
           if defined?(Rails.cache) && Rails.application.config.action_controller.perform_caching
-            Rails.cache.fetch(key, expires_in: expires_in) do
+            Rails.cache.fetch(cache_key(cache_suffix), expires_in: expires_in) do
               log_service_start("Cache miss, generating fresh data")
               yield
             end
@@ -8,6 +8,9 @@ module Dbwatcher
       # Provides enhanced summary data for the sessions summary view and API endpoints
       # with caching and comprehensive statistics.
       class SummaryDataService < BaseApiService
+        # Target number of buckets in the operations-over-time histogram
+        ACTIVITY_BUCKETS = 30
+
         def call
           start_time = Time.now
           log_service_start("Getting summary data for session #{session.id}")
@@ -68,13 +71,64 @@ module Dbwatcher
             tables_with_changes: tables_summary.keys,
             most_active_table: find_most_active_table(tables_summary),
             change_distribution: calculate_change_distribution(tables_summary)
+          }.merge(build_activity_stats(tables_summary))
+        end
+
+        # Operations-over-time histogram and its busiest bucket
+        def build_activity_stats(tables_summary)
+          histogram = build_activity_histogram(tables_summary)
+          peak = histogram[:buckets].max_by { |bucket| bucket[:count] }
+
+          {
+            activity_histogram: histogram,
+            peak_activity: peak && { count: peak[:count], period: histogram[:bucket_seconds], offset: peak[:offset] }
           }
         end
 
+        def build_activity_histogram(tables_summary)
+          events = change_events(tables_summary)
+          return { started_at: nil, bucket_seconds: 0, buckets: [] } if events.empty?
+
+          started_at = events.map(&:first).min
+          span = events.map(&:first).max - started_at
+          bucket_seconds = [(span / ACTIVITY_BUCKETS).ceil, 1].max
+          buckets = Array.new((span / bucket_seconds).floor + 1) do |index|
+            { offset: index * bucket_seconds, count: 0, operations: { "INSERT" => 0, "UPDATE" => 0, "DELETE" => 0 } }
+          end
+
+          events.each do |time, operation|
+            bucket = buckets[((time - started_at) / bucket_seconds).floor]
+            bucket[:count] += 1
+            bucket[:operations][operation] += 1 if bucket[:operations].key?(operation)
+          end
+
+          { started_at: started_at.iso8601, bucket_seconds: bucket_seconds, buckets: buckets }
+        end
+
+        # [time, operation] pairs for every change with a parseable timestamp
+        def change_events(tables_summary)
+          tables_summary.values.flat_map do |data|
+            (data[:changes] || []).filter_map do |change|
+              time = parse_change_time(change[:timestamp])
+              [time, change[:operation].to_s.upcase] if time
+            end
+          end
+        end
+
+        def parse_change_time(timestamp)
+          case timestamp
+          when Time then timestamp
+          when String then Time.parse(timestamp)
+          end
+        rescue ArgumentError
+          nil
+        end
+
         def build_tables_breakdown(tables_summary)
           tables_data = tables_summary.map do |table_name, data|
             {
               table_name: table_name,
+              model_class: data[:model_class],
               change_count: data[:changes]&.length || 0,
               operations: data[:operations] || {},
               sample_columns: data[:sample_record]&.keys || []
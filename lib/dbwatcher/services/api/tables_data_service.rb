@@ -6,8 +6,12 @@ module Dbwatcher
       # Service for handling filtered tables data
       #
       # Provides tables data for the sessions tables view and API endpoints
-      # with filtering and caching support.
+      # with filtering and caching support. When per_page is given, each
+      # table's changes are sliced to the requested page so large sessions
+      # can be streamed into the view.
       class TablesDataService < BaseApiService
+        MAX_PER_PAGE = 1000
+
         def call
           start_time = Time.now
 
@@ -53,6 +57,8 @@ module Dbwatcher
 
           summary = filter_by_operation(summary, filter_params_hash) if filter_params_hash[:operation]
 
+          summary = paginate(summary) if per_page
+
           summary
         end
 
@@ -72,6 +78,39 @@ module Dbwatcher
           summary
         end
 
+        # Slice each table's changes to the requested page
+        #
+        # @param summary [Hash] tables summary keyed by table name
+        # @return [Hash] summary with paged changes and pagination details
+        def paginate(summary)
+          summary.transform_values do |data|
+            changes = data[:changes] || []
+            offset = (page - 1) * per_page
+
+            data.merge(
+              changes: changes.slice(offset, per_page) || [],
+              pagination: {
+                page: page,
+                per_page: per_page,
+                total: changes.length,
+                last_page: [(changes.length.to_f / per_page).ceil, 1].max
+              }
+            )
+          end
+        end
+
+        def page
+          value = params ? params[:page].to_i : 0
+          value.positive? ? value : 1
+        end
+
+        def per_page
+          value = params ? params[:per_page].to_i : 0
+          return nil unless value.positive?
+
+          [value, MAX_PER_PAGE].min
+        end
+
         def build_metadata
           # Make sure filter_params returns a hash even with nil params
           has_filters = filter_params&.any?
@@ -102,6 +141,7 @@ module Dbwatcher
           if params
             filter_parts << "table_#{params[:table]}" if params[:table]
             filter_parts << "op_#{params[:operation]}" if params[:operation]
+            filter_parts << "page_#{page}_per_#{per_page}" if per_page
           end
 
           filter_parts.any? ? filter_parts.join("_") : nil
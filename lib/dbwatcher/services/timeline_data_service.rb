@@ -16,6 +16,11 @@ module Dbwatcher
     #   result = service.call
     #   timeline = result[:timeline]
     #   metadata = result[:metadata]
+    #
+    # @example Incremental (live-tail) polling
+    #   service = TimelineDataService.new(session, since: 41)
+    #   result = service.call
+    #   result[:timeline] # => only entries with sequence > 41
     class TimelineDataService
       include MetadataBuilder
       include EntryBuilder
@@ -24,8 +29,11 @@ module Dbwatcher
       # Initialize the timeline data service
       #
       # @param session [Session] session object containing changes data
-      def initialize(session)
+      # @param options [Hash] processing options
+      # @option options [Integer, String] :since only return entries with a sequence greater than this
+      def initialize(session, options = {})
         @session = session
+        @since_sequence = parse_since(options[:since])
         @timeline_entries = []
         @start_time = Time.current
       end
@@ -97,13 +105,48 @@ module Dbwatcher
       # @return [Hash] complete timeline result
       def build_result
         {
-          timeline: @timeline_entries,
+          timeline: entries_since_requested_sequence,
           metadata: build_timeline_metadata,
           summary: build_timeline_summary,
+          live: build_live_status,
           errors: []
         }
       end
 
+      # Select entries recorded after the requested sequence
+      #
+      # Relative times and metadata are always computed over the full timeline,
+      # so incremental responses stay consistent with the initial load.
+      #
+      # @return [Array<Hash>] timeline entries
+      def entries_since_requested_sequence
+        return @timeline_entries unless @since_sequence
+
+        @timeline_entries.select { |entry| entry[:sequence] > @since_sequence }
+      end
+
+      # Build live-tail status for clients polling an active session
+      #
+      # @return [Hash] live status
+      def build_live_status
+        {
+          session_active: @session.recording?,
+          last_sequence: @timeline_entries.map { |entry| entry[:sequence] }.max
+        }
+      end
+
+      # Parse the since parameter into a sequence number
+      #
+      # @param value [Integer, String, nil] raw since value
+      # @return [Integer, nil] parsed sequence or nil
+      def parse_since(value)
+        return nil if value.nil? || value.to_s.strip.empty?
+
+        Integer(value.to_s, 10)
+      rescue ArgumentError
+        nil
+      end
+
       # Build timeline summary
       #
       # @return [Hash] timeline summary
@@ -123,6 +166,7 @@ module Dbwatcher
           timeline: [],
           metadata: {},
           summary: { error: error.message },
+          live: { session_active: false, last_sequence: nil },
           errors: [{ type: "processing_error", message: error.message }]
         }
       end
@@ -94,9 +94,10 @@ module Dbwatcher
         # Format changes for timeline display
         #
         # @param change [Hash] change data
-        # @return [Hash] formatted changes
+        # @return [Hash] formatted changes keyed by column
         def format_changes(change)
           raw_changes = change[:changes] || change[:data] || {}
+          return format_array_changes(raw_changes) if raw_changes.is_a?(Array)
           return {} unless raw_changes.is_a?(Hash)
 
           raw_changes.transform_values do |value|
@@ -109,6 +110,21 @@ module Dbwatcher
           end
         end
 
+        # Format array of column changes as { column => { from:, to: } }
+        #
+        # @param changes [Array<Hash>] column changes with old/new values
+        # @return [Hash] formatted changes
+        def format_array_changes(changes)
+          changes.each_with_object({}) do |column_change, formatted|
+            next unless column_change.is_a?(Hash) && column_change[:column]
+
+            formatted[column_change[:column].to_s] = {
+              from: column_change[:old_value],
+              to: column_change[:new_value]
+            }
+          end
+        end
+
         # Extract metadata from change data
         #
         # @param change [Hash] change data
@@ -125,6 +125,7 @@ module Dbwatcher
             name: object.respond_to?(:name) ? object.name : nil,
             started_at: object.respond_to?(:started_at) ? object.started_at : nil,
             ended_at: object.respond_to?(:ended_at) ? object.ended_at : nil,
+            updated_at: object.respond_to?(:updated_at) ? object.updated_at : nil,
             changes: object.respond_to?(:changes) ? object.changes : []
           }
         end
@@ -27,6 +27,10 @@ module Dbwatcher
         nil
       end
 
+      def recording?(**)
+        false
+      end
+
       def present?
         false
       end
@@ -1,9 +1,29 @@
 # frozen_string_literal: true
 
+require "time"
+
 module Dbwatcher
   module Storage
     class Session
-      attr_accessor :id, :name, :metadata, :started_at, :ended_at, :changes
+      # A session not saved for this long without ending belongs to a process
+      # that stopped before it could finish it
+      RECORDING_TIMEOUT = 10 * 60
+
+      attr_accessor :id, :name, :metadata, :started_at, :ended_at, :updated_at, :changes
+
+      # Whether a session is still being recorded
+      #
+      # @param ended_at [String, nil] end time
+      # @param last_saved_at [String, nil] time of the latest save, or the start time
+      # @param now [Time] current time
+      # @return [Boolean]
+      def self.recording?(ended_at, last_saved_at, now: Time.now)
+        return false unless ended_at.to_s.empty? && last_saved_at
+
+        Time.parse(last_saved_at.to_s) > now - RECORDING_TIMEOUT
+      rescue ArgumentError
+        false
+      end
 
       def initialize(attrs = {})
         # Set default values
@@ -24,10 +44,15 @@ module Dbwatcher
           metadata: metadata,
           started_at: started_at,
           ended_at: ended_at,
+          updated_at: updated_at,
           changes: changes
         }
       end
 
+      def recording?(now: Time.now)
+        self.class.recording?(ended_at, updated_at || started_at, now: now)
+      end
+
       # Used by Rails URL helpers to convert the object to a URL parameter
       def to_param
         id.to_s
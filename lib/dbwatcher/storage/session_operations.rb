@@ -23,6 +23,7 @@ module Dbwatcher
           name: session_data[:name],
           started_at: session_data[:started_at],
           ended_at: session_data[:ended_at],
+          updated_at: session_data[:updated_at],
           change_count: (session_data[:changes] || []).count
         }
       end
@@ -83,8 +83,8 @@ module Dbwatcher
 
         mutex.synchronize do
           persist_session_file(session_data)
-          update_session_index(session_data)
-          trigger_cleanup
+          new_session = update_session_index(session_data)
+          trigger_cleanup if new_session
         end
 
         true
@@ -230,16 +230,25 @@ module Dbwatcher
 
       # Updates the session index
       #
+      # A session saved again while it is recording keeps its place in the
+      # index; only new sessions are added to the front.
+      #
       # @param session_data [Hash] session data for index update
-      # @return [void]
+      # @return [Boolean] true if the session was not indexed yet
       def update_session_index(session_data)
         index = safe_read_json(index_file)
         session_summary = operations.build_session_summary(session_data)
+        position = index.index { |summary| summary[:id].to_s == session_data[:id].to_s }
 
-        updated_index = [session_summary] + index
-        limited_index = operations.apply_session_limits(updated_index)
+        if position
+          index[position] = session_summary
+          safe_write_json(index_file, index)
+          return false
+        end
 
+        limited_index = operations.apply_session_limits([session_summary] + index)
         safe_write_json(index_file, limited_index)
+        true
       end
 
       # Triggers cleanup of old sessions
@@ -4,16 +4,23 @@ require_relative "storage/session"
 
 module Dbwatcher
   class Tracker
+    # A recording session is saved again after this many changes or seconds,
+    # not on every change: each save rewrites the whole session file
+    PERSIST_EVERY_CHANGES = 100
+    PERSIST_INTERVAL = 1.0
+
     class << self
       def track(name: nil, metadata: {}, &block)
         return yield unless Dbwatcher.configuration.enabled
 
         session = create_session(name, metadata)
         Thread.current[:dbwatcher_session] = session
+        persist_session(session)
 
         execute_with_session(session, &block)
       ensure
         Thread.current[:dbwatcher_session] = nil
+        Thread.current[:dbwatcher_persisted] = nil
       end
 
       def current_session
@@ -25,6 +32,7 @@ module Dbwatcher
         return unless session && change.is_a?(Hash)
 
         session.changes << change
+        persist_session(session) if persist_due?(session)
       rescue StandardError => e
         warn "Failed to record change: #{e.message}"
       end
@@ -52,10 +60,30 @@ module Dbwatcher
 
       def finalize_session(session)
         session.ended_at = Time.now.strftime("%Y-%m-%dT%H:%M:%S%z")
+        persist_session(session)
+      end
+
+      def persist_due?(session)
+        persisted = Thread.current[:dbwatcher_persisted]
+        return true unless persisted
+
+        session.changes.size - persisted[:count] >= PERSIST_EVERY_CHANGES ||
+          monotonic_now - persisted[:at] >= PERSIST_INTERVAL
+      end
+
+      # Saved while recording too (ended_at still nil), so the UI can follow
+      # a session live; each save replaces the previous copy
+      def persist_session(session)
+        session.updated_at = Time.now.strftime("%Y-%m-%dT%H:%M:%S%z")
+        Thread.current[:dbwatcher_persisted] = { count: session.changes.size, at: monotonic_now }
         Storage.sessions.create(session)
       rescue StandardError
         nil
       end
+
+      def monotonic_now
+        Process.clock_gettime(Process::CLOCK_MONOTONIC)
+      end
     end
   end
 end
@@ -0,0 +1,85 @@
+# frozen_string_literal: true
+
+require "pathname"
+
+module Dbwatcher
+  # Pinned third-party browser libraries used by the UI
+  #
+  # Each dependency is served from the engine's asset pipeline
+  # (app/assets/javascripts/dbwatcher/vendor) when the file is vendored, so the
+  # UI works without CDN access. The pinned files are committed with the
+  # engine; `rake vendor:assets` downloads them again after a version bump.
+  # A dependency whose file is missing falls back to its CDN URL.
+  #
+  # Tailwind CSS is not a script here: its stylesheet is built ahead of time
+  # from the engine's views and scripts (`rake vendor:tailwind`) and committed
+  # as TAILWIND_STYLESHEET.
+  module VendorAssets
+    TAILWIND_VERSION = "3.4.5"
+    TAILWIND_STYLESHEET = "dbwatcher/vendor/tailwind.min.css"
+
+    Dependency = Struct.new(:name, :label, :version, :file, :url, :global, keyword_init: true) do
+      # Logical asset path for javascript_include_tag
+      def asset_path
+        "dbwatcher/vendor/#{file.delete_suffix(".js")}"
+      end
+    end
+
+    DEPENDENCIES = [
+      Dependency.new(
+        name: "alpine-collapse", label: "Alpine.js collapse plugin", version: "3.14.1",
+        file: "alpine-collapse.min.js", global: nil,
+        url: "https://unpkg.com/@alpinejs/collapse@3.14.1/dist/cdn.min.js"
+      ),
+      Dependency.new(
+        name: "alpine", label: "Alpine.js", version: "3.14.1",
+        file: "alpine.min.js", global: "Alpine",
+        url: "https://unpkg.com/alpinejs@3.14.1/dist/cdn.min.js"
+      ),
+      Dependency.new(
+        name: "mermaid", label: "Mermaid", version: "10.6.1",
+        file: "mermaid.min.js", global: "mermaid",
+        url: "https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js"
+      ),
+      Dependency.new(
+        name: "svg-pan-zoom", label: "svg-pan-zoom", version: "3.6.1",
+        file: "svg-pan-zoom.min.js", global: "svgPanZoom",
+        url: "https://cdn.jsdelivr.net/npm/svg-pan-zoom@3.6.1/dist/svg-pan-zoom.min.js"
+      )
+    ].freeze
+
+    class << self
+      # Find a dependency by name
+      #
+      # @param name [String, Symbol] dependency name
+      # @return [Dependency]
+      # @raise [ArgumentError] if the dependency is unknown
+      def fetch(name)
+        DEPENDENCIES.find { |dependency| dependency.name == name.to_s } ||
+          raise(ArgumentError, "Unknown vendor asset: #{name}")
+      end
+
+      # Directory holding vendored JavaScript files
+      #
+      # @return [Pathname]
+      def directory
+        Pathname.new(File.expand_path("../../app/assets/javascripts/dbwatcher/vendor", __dir__))
+      end
+
+      # Whether the dependency's file ships with the engine
+      #
+      # @param dependency [Dependency]
+      # @return [Boolean]
+      def vendored?(dependency)
+        directory.join(dependency.file).file?
+      end
+
+      # Dependencies that still load from a CDN
+      #
+      # @return [Array<Dependency>]
+      def missing
+        DEPENDENCIES.reject { |dependency| vendored?(dependency) }
+      end
+    end
+  end
+end
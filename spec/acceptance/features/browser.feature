@@ -9,3 +9,10 @@ Feature: Browser Testing
     When I visit the DBWatcher interface in a browser
     Then I should see the session list
     And the page should be fully loaded
+
+  @javascript
+  Scenario: Rollback script undoes same-second changes across tables in recorded order
+    Given I have a Rails application with DBWatcher mounted
+    When I visit the DBWatcher interface in a browser
+    And I generate a rollback script for a user and their post inserted in the same second
+    Then the post should be deleted before the user
@@ -27,3 +27,12 @@ end
 Then(/^I should see the session details page$/) do
   expect_page_success
 end
+
+Then(/^the post should be deleted before the user$/) do
+  delete_post = @rollback_script.index('DELETE FROM "posts"')
+  delete_user = @rollback_script.index('DELETE FROM "users"')
+
+  expect(delete_post).to be_present
+  expect(delete_user).to be_present
+  expect(delete_post).to be < delete_user
+end
@@ -21,3 +21,15 @@ When(/^I click on a session$/) do
   session_id = sessions.first[:id] || sessions.first["id"]
   visit "/dbwatcher/sessions/#{session_id}"
 end
+
+When(/^I generate a rollback script for a user and their post inserted in the same second$/) do
+  # Listed table by table, as the changes view collects them; only the sequence gives the recorded order
+  changes = [
+    { table_name: "users", operation: "INSERT", timestamp: "2025-01-01T10:00:00+0000", record_id: 1, sequence: 0,
+      record_snapshot: { id: 1 } },
+    { table_name: "posts", operation: "INSERT", timestamp: "2025-01-01T10:00:00+0000", record_id: 2, sequence: 1,
+      record_snapshot: { id: 2, user_id: 1 } }
+  ]
+
+  @rollback_script = page.evaluate_script("window.ChangeExport.toRollbackSQL(#{changes.to_json})")
+end
@@ -0,0 +1,41 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+RSpec.describe Dbwatcher::ComponentBundles do
+  describe ".fetch" do
+    it "finds a bundle by name" do
+      bundle = described_class.fetch(:diagrams)
+
+      expect(bundle.dependencies).to include("mermaid_service")
+      expect(bundle.scripts).to eq(%w[dbwatcher/components/diagrams])
+    end
+
+    it "loads the summary component before the session comparison that reuses it" do
+      expect(described_class.fetch(:sessionCompare).dependencies).to include("summary")
+    end
+
+    it "raises for unknown bundles" do
+      expect { described_class.fetch("charts") }.to raise_error(ArgumentError, /Unknown component bundle/)
+    end
+  end
+
+  describe "BUNDLES" do
+    it "only depends on bundles it defines" do
+      names = described_class::BUNDLES.map(&:name)
+
+      described_class::BUNDLES.each do |bundle|
+        expect(names).to include(*bundle.dependencies)
+      end
+    end
+
+    it "references existing scripts and vendor dependencies" do
+      root = File.expand_path("../../app/assets/javascripts", __dir__)
+
+      described_class::BUNDLES.each do |bundle|
+        bundle.scripts.each { |path| expect(File).to exist(File.join(root, "#{path}.js")) }
+        bundle.vendor.each { |name| expect { Dbwatcher::VendorAssets.fetch(name) }.not_to raise_error }
+      end
+    end
+  end
+end
@@ -19,6 +19,10 @@ RSpec.describe Dbwatcher::Configuration do
       expect(subject.max_sessions).to be_a(Integer)
       expect(subject.auto_clean_days).to be_a(Integer)
     end
+
+    it "has no plugin scripts" do
+      expect(subject.plugin_javascripts).to eq([])
+    end
   end
 
   describe "configuration options" do
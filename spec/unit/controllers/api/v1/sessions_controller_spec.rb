@@ -0,0 +1,83 @@
+# frozen_string_literal: true
+
+require "rails_helper"
+require "tmpdir"
+
+RSpec.describe Dbwatcher::Api::V1::SessionsController, type: :request do
+  let(:temp_dir) { Dir.mktmpdir }
+
+  before do
+    allow(Dbwatcher.configuration).to receive(:enabled).and_return(true)
+    allow(Dbwatcher.configuration).to receive(:storage_path).and_return(temp_dir)
+    Dbwatcher::Storage.reset_storage_instances!
+  end
+
+  after do
+    FileUtils.rm_rf(temp_dir)
+    Dbwatcher::Storage.reset_storage_instances!
+  end
+
+  def record_user_insert
+    Dbwatcher::Tracker.record_change(
+      { table_name: "users", operation: "INSERT", record_id: 1, timestamp: Time.current.iso8601 }
+    )
+  end
+
+  def summary_path(session_id)
+    "/dbwatcher/api/v1/sessions/#{session_id}/summary_data"
+  end
+
+  describe "conditional GET" do
+    it "answers 304 for an ended session that has not changed" do
+      session_id = nil
+      Dbwatcher::Tracker.track(name: "Ended Session") do
+        session_id = Dbwatcher::Tracker.current_session.id
+        record_user_insert
+      end
+
+      get summary_path(session_id)
+      expect(response).to have_http_status(:ok)
+      expect(response.headers["Cache-Control"]).not_to include("no-cache")
+
+      get summary_path(session_id), headers: { "If-None-Match" => response.headers["ETag"] }
+      expect(response).to have_http_status(:not_modified)
+    end
+
+    it "sends a session that is still recording as no-cache" do
+      Dbwatcher::Tracker.track(name: "Recording Session") do
+        record_user_insert
+        get summary_path(Dbwatcher::Tracker.current_session.id)
+      end
+
+      expect(response).to have_http_status(:ok)
+      expect(response.headers["Cache-Control"]).to include("no-cache")
+    end
+  end
+
+  describe "response caching" do
+    before do
+      stub_const("Dbwatcher::Tracker::PERSIST_EVERY_CHANGES", 1)
+      allow(Rails.application.config.action_controller).to receive(:perform_caching).and_return(true)
+      allow(Rails).to receive(:cache).and_return(ActiveSupport::Cache::MemoryStore.new)
+    end
+
+    it "rebuilds the summary of a recording session after a change is recorded" do
+      totals = []
+
+      Dbwatcher::Tracker.track(name: "Recording Session") do
+        session_id = Dbwatcher::Tracker.current_session.id
+
+        record_user_insert
+        get summary_path(session_id)
+        totals << response.parsed_body["total_changes"]
+
+        record_user_insert
+        get summary_path(session_id), headers: { "If-None-Match" => response.headers["ETag"] }
+        totals << response.parsed_body["total_changes"]
+      end
+
+      expect(response).to have_http_status(:ok)
+      expect(totals).to eq([1, 2])
+    end
+  end
+end
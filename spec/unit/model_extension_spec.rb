@@ -19,4 +19,25 @@ RSpec.describe "Dbwatcher::ModelExtension" do
       expect(content).to include("extend") if content.include?("extend")
     end
   end
+
+  describe "recorded changes" do
+    let(:record) do
+      Class.new do
+        include Dbwatcher::ModelExtension
+
+        def self.table_name = "users"
+        def id = 1
+        def attributes = { "id" => 1, "name" => "Jane" }
+      end.new
+    end
+
+    it "timestamps changes to the millisecond" do
+      recorded = nil
+      allow(Dbwatcher::Tracker).to receive(:record_change) { |change| recorded = change }
+
+      record.send(:dbwatcher_track_create)
+
+      expect(recorded[:timestamp]).to match(/\A\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}[+-]\d{4}\z/)
+    end
+  end
 end
@@ -0,0 +1,62 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+RSpec.describe Dbwatcher::Services::Api::SummaryDataService do
+  let(:session) do
+    double("Session", id: "session-1", started_at: "2025-01-01T10:00:00+0000", ended_at: "2025-01-01T10:01:00+0000")
+  end
+  let(:summary) do
+    {
+      "users" => {
+        model_class: "User",
+        operations: { "INSERT" => 2, "UPDATE" => 1 },
+        changes: [
+          { operation: "INSERT", timestamp: "2025-01-01T10:00:00+0000" },
+          { operation: "INSERT", timestamp: "2025-01-01T10:00:01+0000" },
+          { operation: "UPDATE", timestamp: "2025-01-01T10:00:01+0000" }
+        ]
+      },
+      "posts" => {
+        operations: { "DELETE" => 1 },
+        changes: [{ operation: "DELETE", timestamp: "2025-01-01T10:00:04+0000" }]
+      }
+    }
+  end
+
+  before do
+    allow(Dbwatcher::Storage.sessions).to receive(:summary).with("session-1").and_return({})
+    allow(Dbwatcher::Storage.sessions).to receive(:build_tables_summary).with(session).and_return(summary)
+  end
+
+  describe "#call" do
+    let(:stats) { described_class.new(session).call[:enhanced_stats] }
+
+    it "buckets changes over time by operation" do
+      histogram = stats[:activity_histogram]
+
+      expect(histogram[:bucket_seconds]).to eq(1)
+      expect(histogram[:buckets].map { |bucket| bucket[:count] }).to eq([1, 2, 0, 0, 1])
+      expect(histogram[:buckets][1][:operations]).to eq("INSERT" => 1, "UPDATE" => 1, "DELETE" => 0)
+    end
+
+    it "reports the busiest bucket as peak activity" do
+      expect(stats[:peak_activity]).to eq(count: 2, period: 1, offset: 1)
+    end
+
+    it "includes the model class in the tables breakdown" do
+      breakdown = described_class.new(session).call[:tables_breakdown]
+
+      expect(breakdown.first).to include(table_name: "users", model_class: "User", change_count: 3)
+    end
+
+    context "without changes" do
+      let(:summary) { {} }
+
+      it "returns an empty histogram" do
+        expect(stats[:activity_histogram][:buckets]).to eq([])
+        expect(stats[:peak_activity]).to be_nil
+      end
+    end
+  end
+end
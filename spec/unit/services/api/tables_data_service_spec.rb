@@ -0,0 +1,54 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+RSpec.describe Dbwatcher::Services::Api::TablesDataService do
+  let(:session) { double("Session", id: "session-1") }
+  let(:summary) do
+    {
+      "users" => { changes: Array.new(5) { |i| { operation: "INSERT", record_id: i } } },
+      "posts" => { changes: [{ operation: "UPDATE", record_id: 1 }] }
+    }
+  end
+
+  before do
+    allow(Dbwatcher::Storage.sessions).to receive(:build_tables_summary).with(session).and_return(summary)
+  end
+
+  describe "#call" do
+    it "returns every change without pagination params" do
+      result = described_class.new(session).call
+
+      expect(result[:tables_summary]["users"][:changes].length).to eq(5)
+      expect(result[:tables_summary]["users"]).not_to have_key(:pagination)
+    end
+
+    it "slices each table's changes to the requested page" do
+      result = described_class.new(session, table: "users", page: "2", per_page: "2").call
+      users = result[:tables_summary]["users"]
+
+      expect(users[:changes].map { |change| change[:record_id] }).to eq([2, 3])
+      expect(users[:pagination]).to eq(page: 2, per_page: 2, total: 5, last_page: 3)
+      expect(result[:tables_summary].keys).to eq(["users"])
+    end
+
+    it "returns an empty page past the end" do
+      result = described_class.new(session, page: 9, per_page: 2).call
+
+      expect(result[:tables_summary]["posts"][:changes]).to eq([])
+      expect(result[:tables_summary]["posts"][:pagination][:last_page]).to eq(1)
+    end
+
+    it "caps the page size" do
+      result = described_class.new(session, per_page: 50_000).call
+
+      expect(result[:tables_summary]["users"][:pagination][:per_page]).to eq(described_class::MAX_PER_PAGE)
+    end
+
+    it "does not modify the underlying summary" do
+      described_class.new(session, per_page: 2).call
+
+      expect(summary["users"][:changes].length).to eq(5)
+    end
+  end
+end
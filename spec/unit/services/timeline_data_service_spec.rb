@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+
+RSpec.describe Dbwatcher::Services::TimelineDataService do
+  let(:ended_at) { "2025-01-01T10:00:05+0000" }
+  let(:session) do
+    Dbwatcher::Storage::Session.new(
+      id: "session-1", changes: changes, ended_at: ended_at, started_at: Time.now.strftime("%Y-%m-%dT%H:%M:%S%z")
+    )
+  end
+  let(:changes) do
+    [
+      { table_name: "users", operation: "INSERT", timestamp: "2025-01-01T10:00:00Z", record_id: 1 },
+      { table_name: "posts", operation: "INSERT", timestamp: "2025-01-01T10:00:01Z", record_id: 7 },
+      { table_name: "users", operation: "UPDATE", timestamp: "2025-01-01T10:00:02Z", record_id: 1 }
+    ]
+  end
+
+  before do
+    builder = double("TableSummaryBuilder")
+    allow(Dbwatcher::Services::Analyzers::TableSummaryBuilder).to receive(:new).and_return(builder)
+    allow(builder).to receive(:send).with(:find_model_class, anything).and_return(nil)
+  end
+
+  describe "#call" do
+    it "returns every entry without a since option" do
+      result = described_class.new(session).call
+
+      expect(result[:timeline].map { |entry| entry[:sequence] }).to eq([0, 1, 2])
+      expect(result[:live]).to eq(session_active: false, last_sequence: 2)
+    end
+
+    it "returns only entries recorded after the since sequence" do
+      result = described_class.new(session, since: "0").call
+
+      expect(result[:timeline].map { |entry| entry[:sequence] }).to eq([1, 2])
+      expect(result[:metadata][:total_operations]).to eq(3)
+    end
+
+    it "keeps relative times anchored to the first entry of the session" do
+      result = described_class.new(session, since: 1).call
+
+      expect(result[:timeline].first[:relative_time]).to eq("00:02")
+    end
+
+    it "ignores an invalid since value" do
+      result = described_class.new(session, since: "abc").call
+
+      expect(result[:timeline].length).to eq(3)
+    end
+
+    context "with millisecond timestamps" do
+      let(:changes) do
+        [
+          { table_name: "users", operation: "INSERT", timestamp: "2025-01-01T10:00:00.120+0000", record_id: 1 },
+          { table_name: "posts", operation: "INSERT", timestamp: "2025-01-01T10:00:00.160+0000", record_id: 7 },
+          { table_name: "users", operation: "UPDATE", timestamp: "2025-01-01T10:00:01+0000", record_id: 1 }
+        ]
+      end
+
+      it "keeps changes within the same second apart" do
+        raw_timestamps = described_class.new(session).call[:timeline].map { |entry| entry[:raw_timestamp] }
+
+        expect(raw_timestamps[1] - raw_timestamps[0]).to be_within(0.001).of(0.04)
+        expect(raw_timestamps[2] - raw_timestamps[1]).to be_within(0.001).of(0.84)
+      end
+    end
+
+    context "with column change arrays" do
+      let(:changes) do
+        [
+          {
+            table_name: "users", operation: "UPDATE", timestamp: "2025-01-01T10:00:00Z", record_id: 1,
+            changes: [{ column: "name", old_value: "John", new_value: "Jane" }]
+          }
+        ]
+      end
+
+      it "formats them as from/to pairs keyed by column" do
+        result = described_class.new(session).call
+
+        expect(result[:timeline].first[:changes]).to eq("name" => { from: "John", to: "Jane" })
+      end
+    end
+
+    context "when the session is still recording" do
+      let(:ended_at) { nil }
+
+      it "reports the session as active" do
+        result = described_class.new(session).call
+
+        expect(result[:live][:session_active]).to be(true)
+      end
+    end
+  end
+end
@@ -93,6 +93,28 @@ RSpec.describe Dbwatcher::Services::Analyzers::TableSummaryBuilder do
       end
     end
 
+    context "with changes on two tables within the same second" do
+      let(:changes) do
+        [
+          { table_name: "users", operation: "INSERT", timestamp: "2025-01-01T10:00:00+0000", record_id: 1 },
+          { table_name: "posts", operation: "INSERT", timestamp: "2025-01-01T10:00:00+0000", record_id: 2 },
+          { table_name: "users", operation: "UPDATE", timestamp: "2025-01-01T10:00:00+0000", record_id: 1 }
+        ]
+      end
+
+      before do
+        allow(Dbwatcher::Services::Analyzers::SessionDataProcessor).to receive(:new).and_call_original
+      end
+
+      it "numbers each change by its position in the session" do
+        result = described_class.new(session).call
+
+        expect(result["users"][:changes].map { |change| change[:sequence] }).to eq([0, 2])
+        expect(result["posts"][:changes].map { |change| change[:sequence] }).to eq([1])
+        expect(changes.first).not_to have_key(:sequence)
+      end
+    end
+
     context "with only zero-count operations" do
       let(:changes) { [1] }
 
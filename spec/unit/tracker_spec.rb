@@ -1,6 +1,7 @@
 # frozen_string_literal: true
 
 require "spec_helper"
+require "tmpdir"
 
 RSpec.describe Dbwatcher::Tracker do
   describe "tracking functionality" do
@@ -29,6 +30,80 @@ RSpec.describe Dbwatcher::Tracker do
     end
   end
 
+  describe "recording sessions" do
+    let(:temp_dir) { Dir.mktmpdir }
+
+    before do
+      allow(Dbwatcher.configuration).to receive(:enabled).and_return(true)
+      allow(Dbwatcher.configuration).to receive(:storage_path).and_return(temp_dir)
+      Dbwatcher::Storage.reset_storage_instances!
+
+      builder = double("TableSummaryBuilder")
+      allow(Dbwatcher::Services::Analyzers::TableSummaryBuilder).to receive(:new).and_return(builder)
+      allow(builder).to receive(:send).with(:find_model_class, anything).and_return(nil)
+    end
+
+    after do
+      FileUtils.rm_rf(temp_dir)
+      Dbwatcher::Storage.reset_storage_instances!
+    end
+
+    def record_insert(record_id)
+      Dbwatcher::Tracker.record_change(
+        { table_name: "users", operation: "INSERT", record_id: record_id, timestamp: "2025-01-01T10:00:00+0000" }
+      )
+    end
+
+    it "stores the session and its changes in batches while it is still recording" do
+      stub_const("Dbwatcher::Tracker::PERSIST_EVERY_CHANGES", 2)
+      recording = nil
+
+      Dbwatcher::Tracker.track(name: "Live Session") do
+        (1..3).each { |record_id| record_insert(record_id) }
+        recording = Dbwatcher::Storage.sessions.find(Dbwatcher::Tracker.current_session.id)
+      end
+
+      expect(recording.ended_at).to be_nil
+      expect(recording.changes.length).to eq(2)
+      expect(Dbwatcher::Services::TimelineDataService.new(recording).call[:live][:session_active]).to be true
+    end
+
+    it "stores a recording session again once the save interval has passed" do
+      allow(Dbwatcher::Tracker).to receive(:monotonic_now).and_return(0.0, 0.5, 5.0)
+      recording = nil
+
+      Dbwatcher::Tracker.track(name: "Slow Session") do
+        record_insert(1)
+        record_insert(2)
+        recording = Dbwatcher::Storage.sessions.find(Dbwatcher::Tracker.current_session.id)
+      end
+
+      expect(recording.changes.length).to eq(2)
+    end
+
+    it "no longer counts a session as recording once it has not been saved for a while" do
+      last_saved_at = (Time.now - Dbwatcher::Storage::Session::RECORDING_TIMEOUT - 60).strftime("%Y-%m-%dT%H:%M:%S%z")
+      abandoned = Dbwatcher::Storage::Session.new(id: "abandoned", started_at: last_saved_at, updated_at: last_saved_at)
+
+      expect(abandoned.recording?).to be false
+      expect(Dbwatcher::Services::TimelineDataService.new(abandoned).call[:live][:session_active]).to be false
+    end
+
+    it "marks the session ended once the block finishes and indexes it once" do
+      session_id = nil
+      Dbwatcher::Tracker.track(name: "Finished Session") do
+        session_id = Dbwatcher::Tracker.current_session.id
+        Dbwatcher::Tracker.record_change({ table_name: "users", operation: "INSERT", record_id: 1 })
+        Dbwatcher::Tracker.record_change({ table_name: "users", operation: "UPDATE", record_id: 1 })
+      end
+
+      expect(Dbwatcher::Storage.sessions.find(session_id).ended_at).not_to be_nil
+      summaries = Dbwatcher::Storage.sessions.all.select { |summary| summary[:id] == session_id }
+      expect(summaries.length).to eq(1)
+      expect(summaries.first[:change_count]).to eq(2)
+    end
+  end
+
   describe "session management" do
     it "can get current session" do
       session = Dbwatcher::Tracker.current_session
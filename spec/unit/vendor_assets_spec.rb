@@ -0,0 +1,57 @@
+# frozen_string_literal: true
+
+require "spec_helper"
+require "tmpdir"
+
+RSpec.describe Dbwatcher::VendorAssets do
+  describe ".fetch" do
+    it "finds a dependency by name" do
+      dependency = described_class.fetch(:mermaid)
+
+      expect(dependency.version).to eq("10.6.1")
+      expect(dependency.asset_path).to eq("dbwatcher/vendor/mermaid.min")
+    end
+
+    it "raises for unknown dependencies" do
+      expect { described_class.fetch("jquery") }.to raise_error(ArgumentError, /Unknown vendor asset/)
+    end
+  end
+
+  describe "DEPENDENCIES" do
+    it "pins every CDN URL to an exact version" do
+      described_class::DEPENDENCIES.each do |dependency|
+        expect(dependency.url).to include(dependency.version)
+      end
+    end
+  end
+
+  describe "shipped files" do
+    it "includes every pinned library so the UI runs without CDN access" do
+      described_class::DEPENDENCIES.each do |dependency|
+        expect(described_class.vendored?(dependency)).to be(true), "#{dependency.name} is not vendored"
+      end
+      expect(described_class.missing).to be_empty
+    end
+
+    it "includes the prebuilt Tailwind CSS stylesheet" do
+      stylesheet = File.expand_path("../../app/assets/stylesheets/#{described_class::TAILWIND_STYLESHEET}", __dir__)
+
+      expect(File).to exist(stylesheet)
+      expect(File.read(stylesheet, 200)).to include("tailwindcss v#{described_class::TAILWIND_VERSION}")
+    end
+  end
+
+  describe ".vendored?" do
+    it "reports whether the file exists in the vendor directory" do
+      Dir.mktmpdir do |dir|
+        allow(described_class).to receive(:directory).and_return(Pathname.new(dir))
+        dependency = described_class.fetch("svg-pan-zoom")
+
+        expect(described_class.vendored?(dependency)).to be false
+        File.write(File.join(dir, dependency.file), "")
+        expect(described_class.vendored?(dependency)).to be true
+        expect(described_class.missing).not_to include(dependency)
+      end
+    end
+  end
+end